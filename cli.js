@@ -0,0 +1,685 @@
+#!/usr/bin/env node
+// cctp: bridge USDC between Base, Ethereum, Solana and Starknet testnets via CCTPv2
+import "dotenv/config";
+import { parseArgs } from "node:util";
+import {
+  TESTNET_NETWORKS,
+  MAINNET_NETWORKS,
+  DEFAULT_NETWORKS_PATH,
+  listNetworks,
+  getNetwork,
+  getNetworkByDomain,
+} from "./lib/networks.js";
+import { decodeMessage } from "./lib/message.js";
+import { hookDataText } from "./lib/encoding.js";
+import { bytes32ToAddress } from "./lib/address.js";
+import { parseUsdcAmount, formatUsdcAmount } from "./lib/amount.js";
+import { bridge, complete, resume } from "./lib/bridge.js";
+import { FINALITY } from "./lib/fees.js";
+import { openJournal, DEFAULT_JOURNAL_PATH } from "./lib/journal.js";
+import { batchTransfer, readBatchFile, DEFAULT_MINT_CHUNK_SIZE } from "./lib/batch.js";
+import { runRelayer, openRelayQueue, DEFAULT_RELAY_QUEUE_PATH } from "./lib/relayer.js";
+import { indexHistory, transferStatus, openHistory, DEFAULT_HISTORY_PATH } from "./lib/history.js";
+import { reclaimEventAccounts, openEventAccountStore, DEFAULT_EVENT_ACCOUNTS_PATH } from "./lib/reclaim.js";
+import { checkIdls, updateIdls, BUNDLED_IDL_DIR } from "./lib/solanaidl.js";
+import { KEYSTORE_ENV, readPlaintextKey } from "./lib/signers.js";
+import { encryptKeystore, writeKeystoreFile } from "./lib/keystore.js";
+import { privateKeyToAccount } from "viem/accounts";
+import fs from "node:fs";
+
+const USAGE = `Usage:
+  cctp transfer --from <network> --to <network> --amount <usdc> [options]
+  cctp batch --from <network> --file <rows.csv|rows.json> [--to <network>] [--chunk <n>] [--report <file>]
+  cctp relay [--from <network,...>] [--to <network>] [--recipient <address>]... [--caller <address>]...
+             [--queue <file>] [--once] [--list] [--retry-failed]
+  cctp history [--from <network,...>] [--offline] [--json]
+  cctp status <burnTx> [--source <domain|network>] [--json]
+  cctp reclaim [--network <solana network>] [--known-only]
+  cctp idl [update] [--network <solana network>]
+  cctp networks [--json]
+  cctp keystore <evm|starknet|solana> --out <file>
+  cctp resume [--dry-run] [--journal <file>]
+  cctp complete --tx <burnTx> --source <domain|network> [--index <n>] [--recipient <address>] [--dry-run] [--journal <file>]
+  cctp decode <message hex|base64> [--json]
+
+Options:
+  --recipient <address>  Destination address (defaults to the destination signer)
+  --fast                 Fast transfer, minFinalityThreshold ${FINALITY.fast} (default)
+  --standard             Standard transfer, minFinalityThreshold ${FINALITY.standard}
+  --max-fee <usdc>       Fee cap; maxFee is quoted from Iris. A fast transfer over the cap, or with
+                         no quote and no cap, fails before anything is sent
+  --allow-standard       Fall back to a standard transfer instead of failing (transfer and batch)
+  --approve <mode>       EVM allowance: blanket (default, 10,000 USDC) or exact
+  --skip-checks          Skip the pre-flight balance and account checks
+  --hook-data <data>     CCTP hook data: 0x-prefixed hex, or text sent as UTF-8 (e.g. a payment reference)
+  --destination-caller <address>
+                         Only this destination account may mint (transfer and batch; default: anyone)
+  --dry-run              Simulate and report fees and calldata without sending anything
+  --journal <file>       Transfer journal (default $CCTP_JOURNAL or ${DEFAULT_JOURNAL_PATH})
+  --history <file>       Indexed history for history/status (default $CCTP_HISTORY or ${DEFAULT_HISTORY_PATH})
+  --mainnet              Allow mainnet networks, which move real funds (or set CCTP_MAINNET=true)
+  -h, --help             Show this help
+
+Networks: ${Object.keys(TESTNET_NETWORKS).join(", ")}
+Mainnet (with --mainnet): ${Object.keys(MAINNET_NETWORKS).join(", ")}
+More networks and overrides: $CCTP_NETWORKS or ${DEFAULT_NETWORKS_PATH}`;
+
+const toJson = (value) =>
+  JSON.stringify(value, (key, field) => (typeof field === "bigint" ? field.toString() : field), 2);
+
+const formatHookData = (hex) => {
+  const text = hookDataText(hex);
+  return text === undefined ? hex : `${hex} ("${text}")`;
+};
+
+// Print library progress events the way the original scripts logged each step
+function printProgress(event) {
+  switch (event.type) {
+    case "started":
+      if (event.id) console.log(`Transfer ${event.id}`);
+      console.log(`Source (${event.source}) sender: ${event.sender}`);
+      console.log(`Destination (${event.destination}) recipient: ${event.recipient}`);
+      console.log(
+        `Amount: ${formatUsdcAmount(event.amount)} USDC, maxFee: ${formatUsdcAmount(event.maxFee)} USDC${event.feeBps === undefined ? "" : ` (quoted ${event.feeBps} bps)`}, minFinalityThreshold: ${event.minFinalityThreshold}`,
+      );
+      if (event.hookData !== "0x") console.log(`Hook data: ${formatHookData(event.hookData)}`);
+      if (event.destinationCaller) console.log(`Destination caller: ${event.destinationCaller}`);
+      break;
+    case "preflight":
+      for (const check of event.checks) {
+        console.log(`   ${check.ok ? "✓" : "✗"} ${event.chain} ${check.name}: ${check.detail}`);
+      }
+      break;
+    case "simulated":
+      console.log(
+        `   [dry run] ${event.chain} ${event.step}: ${event.ok ? `ok, estimated fee ${event.estimatedFee}` : `would fail: ${event.error}`}`,
+      );
+      if (event.note) console.log(`   ${event.note}`);
+      if (!event.ok && event.logs?.length) console.log(`   ${event.logs.join("\n   ")}`);
+      console.log(toJson(event.calldata).replace(/^/gm, "     "));
+      break;
+    case "tx-replaced":
+      console.log(`   Replaced stuck tx ${event.replacedTxHash} with ${event.txHash} (nonce ${event.nonce})`);
+      break;
+    case "approved":
+      console.log(`   USDC approve tx: ${event.txHash}`);
+      break;
+    case "burned":
+      console.log(`   Burn tx: ${event.txHash}`);
+      break;
+    case "attestation-pending":
+      console.log(`   Attestation ${event.status}, retrying in ${(event.retryInMs / 1000).toFixed(1)}s...`);
+      break;
+    case "attested":
+      console.log("   Attestation ready.");
+      break;
+    case "resuming":
+      console.log(`Resuming transfer ${event.id} (${event.status}, burn tx ${event.burnTx})`);
+      break;
+    case "minted":
+      console.log(`   Mint tx: ${event.txHash}`);
+      break;
+    case "relay":
+      console.log(`[relay] ${event.id}: ${event.status}${event.detail ? ` (${event.detail})` : ""}`);
+      break;
+    case "reclaimed":
+      console.log(`   Reclaimed ${event.lamports / 1e9} SOL from ${event.address}: ${event.txHash}`);
+      break;
+    case "handed-off":
+      console.log(`   Handed off to destination caller ${event.destinationCaller}; it mints on ${event.chain}`);
+      break;
+    case "already-minted":
+      console.log(`   Already minted on ${event.chain} (nonce ${event.nonce})${event.txHash ? `, redeemed in ${event.txHash}` : ""}`);
+      break;
+    default:
+      console.log(`   ${event.message}`);
+  }
+}
+
+// Read a line from the terminal without echoing it
+function promptHidden(question) {
+  const { stdin, stderr } = process;
+  if (!stdin.isTTY) {
+    return Promise.reject(new Error(`${question}: no terminal to prompt on; set the passphrase in the environment`));
+  }
+  return new Promise((resolve, reject) => {
+    let input = "";
+    const finish = (err) => {
+      stdin.removeListener("data", onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write("\n");
+      if (err) reject(err);
+      else resolve(input);
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === "\r" || char === "\n") return finish();
+        if (char === "\u0003") return finish(new Error("Cancelled"));
+        input = char === "\u007f" || char === "\b" ? input.slice(0, -1) : input + char;
+      }
+    };
+    stderr.write(`${question}: `);
+    stdin.setRawMode(true);
+    stdin.setEncoding("utf8");
+    stdin.on("data", onData);
+    stdin.resume();
+  });
+}
+
+// Keystores without a passphrase in the environment are unlocked interactively
+const passphrase = ({ kind, file }) => promptHidden(`Passphrase for the ${kind} key in ${file}`);
+
+// Solana burns remember their rent-holding event account here, for `reclaim`
+const eventAccountStore = () =>
+  openEventAccountStore(process.env.CCTP_EVENT_ACCOUNTS || DEFAULT_EVENT_ACCOUNTS_PATH);
+
+async function transferCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      amount: { type: "string" },
+      recipient: { type: "string" },
+      fast: { type: "boolean" },
+      standard: { type: "boolean" },
+      "max-fee": { type: "string" },
+      "allow-standard": { type: "boolean" },
+      approve: { type: "string" },
+      "skip-checks": { type: "boolean" },
+      "dry-run": { type: "boolean" },
+      "hook-data": { type: "string" },
+      "destination-caller": { type: "string" },
+      journal: { type: "string" },
+    },
+  });
+  if (!values.from || !values.to || !values.amount) {
+    throw new Error(`transfer needs --from, --to and --amount\n\n${USAGE}`);
+  }
+  if (values.fast && values.standard) throw new Error("Pass only one of --fast / --standard");
+
+  const amount = parseUsdcAmount(values.amount);
+  const result = await bridge({
+    source: values.from,
+    destination: values.to,
+    amount,
+    recipient: values.recipient,
+    minFinalityThreshold: values.standard ? FINALITY.standard : FINALITY.fast,
+    maxFee: values["max-fee"] === undefined ? undefined : parseUsdcAmount(values["max-fee"], { allowZero: true }),
+    fallbackToStandard: Boolean(values["allow-standard"]),
+    approval: values.approve,
+    preflight: !values["skip-checks"],
+    dryRun: values["dry-run"],
+    hookData: values["hook-data"],
+    destinationCaller: values["destination-caller"],
+    passphrase,
+    journal: openJournal(values.journal || process.env.CCTP_JOURNAL || DEFAULT_JOURNAL_PATH),
+    eventAccounts: eventAccountStore(),
+    onProgress: printProgress,
+  });
+  if (result.dryRun) {
+    for (const failure of result.preflightFailures) console.log(`✗ ${failure}`);
+    const ok = !result.preflightFailures.length && result.simulations.every((simulation) => simulation.ok);
+    console.log(ok ? "✅ Dry run passed; nothing was sent" : "❌ Dry run found problems; nothing was sent");
+    if (!ok) process.exitCode = 1;
+    return;
+  }
+  if (result.handedOff) {
+    console.log(`✅ Burned ${formatUsdcAmount(amount)} USDC on ${values.from}; handed off to destination caller ${result.destinationCaller} to mint on ${values.to}`);
+    return;
+  }
+  const outcome = result.alreadyMinted ? " (minted by someone else)" : "";
+  console.log(`✅ Transfer complete: ${formatUsdcAmount(amount)} USDC bridged ${values.from} → ${values.to}${outcome}`);
+}
+
+const positiveInteger = (value, flag) => {
+  if (!/^\d+$/.test(value) || Number(value) < 1) throw new Error(`${flag} must be a positive integer, got "${value}"`);
+  return Number(value);
+};
+
+const nonNegativeInteger = (value, flag) => {
+  if (!/^\d+$/.test(value)) throw new Error(`${flag} must be a non-negative integer, got "${value}"`);
+  return Number(value);
+};
+
+async function batchCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      file: { type: "string" },
+      chunk: { type: "string" },
+      report: { type: "string" },
+      standard: { type: "boolean" },
+      "max-fee": { type: "string" },
+      "allow-standard": { type: "boolean" },
+      approve: { type: "string" },
+      "skip-checks": { type: "boolean" },
+      "destination-caller": { type: "string" },
+      journal: { type: "string" },
+    },
+  });
+  if (!values.from || !values.file) throw new Error(`batch needs --from and --file\n\n${USAGE}`);
+  const mintChunkSize = values.chunk === undefined ? DEFAULT_MINT_CHUNK_SIZE : positiveInteger(values.chunk, "--chunk");
+
+  const report = await batchTransfer({
+    source: values.from,
+    destination: values.to ?? "starknet-sepolia",
+    rows: readBatchFile(values.file),
+    minFinalityThreshold: values.standard ? FINALITY.standard : FINALITY.fast,
+    maxFee: values["max-fee"] === undefined ? undefined : parseUsdcAmount(values["max-fee"], { allowZero: true }),
+    fallbackToStandard: Boolean(values["allow-standard"]),
+    approval: values.approve,
+    preflight: !values["skip-checks"],
+    destinationCaller: values["destination-caller"],
+    passphrase,
+    mintChunkSize,
+    journal: openJournal(values.journal || process.env.CCTP_JOURNAL || DEFAULT_JOURNAL_PATH),
+    eventAccounts: eventAccountStore(),
+    onProgress: printProgress,
+  });
+
+  console.table(
+    report.map((row) => ({
+      row: row.row,
+      recipient: row.recipient,
+      amount: formatUsdcAmount(row.amount),
+      status: row.status,
+      burnTx: row.burnTx ?? "",
+      nonce: row.nonce ?? "",
+      mintTx: row.mintTx ?? row.error ?? "",
+    })),
+  );
+  if (values.report) {
+    fs.writeFileSync(values.report, `${toJson(report)}\n`);
+    console.log(`Report written to ${values.report}`);
+  }
+  // A row still pending never got its mint
+  if (report.some((row) => row.status === "failed" || row.status === "pending")) process.exitCode = 1;
+}
+
+async function relayCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      recipient: { type: "string", multiple: true },
+      caller: { type: "string", multiple: true },
+      queue: { type: "string" },
+      once: { type: "boolean" },
+      list: { type: "boolean" },
+      "retry-failed": { type: "boolean" },
+    },
+  });
+  const queue = openRelayQueue(values.queue || process.env.CCTP_RELAY_QUEUE || DEFAULT_RELAY_QUEUE_PATH);
+  if (values.list) {
+    console.table(
+      queue.list().map((job) => ({
+        id: job.id,
+        amount: formatUsdcAmount(BigInt(job.amount)),
+        status: job.status,
+        attempts: job.attempts,
+        mintTx: job.mintTx ?? job.error ?? "",
+      })),
+    );
+    return;
+  }
+  if (values["retry-failed"]) {
+    console.log(`Requeued ${queue.retryFailed()} failed job(s)`);
+    if (!values.once) return;
+  }
+
+  // Ctrl-C finishes the job in hand, then stops
+  const controller = new AbortController();
+  const stop = () => {
+    console.log("Stopping the relayer...");
+    controller.abort();
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+  await runRelayer({
+    destination: values.to ?? "starknet-sepolia",
+    ...(values.from ? { sources: values.from.split(",").map((name) => name.trim()) } : {}),
+    ...(values.recipient ? { recipients: values.recipient } : {}),
+    ...(values.caller ? { destinationCallers: values.caller } : {}),
+    queue,
+    passphrase,
+    once: values.once,
+    signal: controller.signal,
+    onProgress: printProgress,
+  });
+}
+
+async function reclaimCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: { network: { type: "string" }, "known-only": { type: "boolean" } },
+  });
+  const results = await reclaimEventAccounts({
+    network: values.network ?? "solana-devnet",
+    store: eventAccountStore(),
+    passphrase,
+    discover: !values["known-only"],
+    onProgress: printProgress,
+  });
+  if (!results.length) {
+    console.log("No event accounts to reclaim.");
+    return;
+  }
+  console.table(
+    results.map((result) => ({
+      account: result.address,
+      rent: result.lamports === undefined ? "" : `${result.lamports / 1e9} SOL`,
+      status: result.status,
+      detail: result.reclaimTx ?? result.error ?? result.burnTx ?? "",
+    })),
+  );
+  const reclaimed = results.filter(({ status }) => status === "reclaimed").reduce((sum, { lamports }) => sum + lamports, 0);
+  console.log(`Reclaimed ${reclaimed / 1e9} SOL`);
+  if (results.some(({ status }) => status === "failed")) process.exitCode = 1;
+}
+
+async function completeCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      tx: { type: "string" },
+      source: { type: "string" },
+      index: { type: "string" },
+      recipient: { type: "string" },
+      "dry-run": { type: "boolean" },
+      journal: { type: "string" },
+    },
+  });
+  if (!values.tx || !values.source) throw new Error(`complete needs --tx and --source\n\n${USAGE}`);
+
+  const { mintTx, alreadyMinted, dryRun, simulations } = await complete({
+    source: values.source,
+    burnTx: values.tx,
+    messageIndex: values.index === undefined ? undefined : nonNegativeInteger(values.index, "--index"),
+    recipient: values.recipient,
+    dryRun: values["dry-run"],
+    passphrase,
+    journal: openJournal(values.journal || process.env.CCTP_JOURNAL || DEFAULT_JOURNAL_PATH),
+    onProgress: printProgress,
+  });
+  if (dryRun) {
+    const ok = simulations.every((simulation) => simulation.ok);
+    console.log(ok ? "✅ Mint dry run passed; nothing was sent" : "❌ Mint dry run failed; nothing was sent");
+    if (!ok) process.exitCode = 1;
+    return;
+  }
+  if (alreadyMinted) {
+    console.log(`✅ Burn ${values.tx} was already minted${mintTx ? ` in ${mintTx}` : ""}`);
+    return;
+  }
+  console.log(`✅ Burn ${values.tx} completed: mint tx ${mintTx}`);
+}
+
+const openHistoryFile = (file) => openHistory(file || process.env.CCTP_HISTORY || DEFAULT_HISTORY_PATH);
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const historyRow = (transfer) => ({
+  burned: transfer.burnedAt?.replace("T", " ").slice(0, 19) ?? "",
+  route: `${transfer.source} → ${transfer.destination ?? `domain ${transfer.destinationDomain}`}`,
+  amount: formatUsdcAmount(BigInt(transfer.amount)),
+  fee: transfer.feeExecuted === undefined ? "" : formatUsdcAmount(BigInt(transfer.feeExecuted)),
+  status: transfer.status,
+  took: transfer.burnedAt && transfer.mintedAt ? formatDuration(Date.parse(transfer.mintedAt) - Date.parse(transfer.burnedAt)) : "",
+  burnTx: transfer.txHash,
+});
+
+async function historyCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      from: { type: "string" },
+      offline: { type: "boolean" },
+      json: { type: "boolean" },
+      history: { type: "string" },
+      journal: { type: "string" },
+    },
+  });
+  const store = openHistoryFile(values.history);
+  const transfers = values.offline
+    ? store.list()
+    : await indexHistory({
+        ...(values.from ? { sources: values.from.split(",").map((name) => name.trim()) } : {}),
+        store,
+        passphrase,
+        journal: openJournal(values.journal || process.env.CCTP_JOURNAL || DEFAULT_JOURNAL_PATH),
+        onProgress: printProgress,
+      });
+  const newestFirst = [...transfers].sort((a, b) => (b.burnedAt ?? "").localeCompare(a.burnedAt ?? ""));
+  if (values.json) {
+    console.log(toJson(newestFirst));
+    return;
+  }
+  if (!newestFirst.length) {
+    console.log(`No transfers in ${store.file}.`);
+    return;
+  }
+  console.table(newestFirst.map(historyRow));
+}
+
+async function statusCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      source: { type: "string" },
+      json: { type: "boolean" },
+      history: { type: "string" },
+      journal: { type: "string" },
+    },
+  });
+  if (!positionals[0]) throw new Error(`status needs a burn tx\n\n${USAGE}`);
+  const transfers = await transferStatus({
+    txHash: positionals[0],
+    source: values.source,
+    store: openHistoryFile(values.history),
+    journal: openJournal(values.journal || process.env.CCTP_JOURNAL || DEFAULT_JOURNAL_PATH),
+    onProgress: printProgress,
+  });
+  if (values.json) {
+    console.log(toJson(transfers));
+    return;
+  }
+  for (const transfer of transfers) {
+    console.log(`${transfer.txHash} on ${transfer.source}: ${transfer.status}`);
+    if (transfer.amount === undefined) continue;
+    const row = historyRow(transfer);
+    console.log(`  ${row.route}, ${row.amount} USDC to ${transfer.mintRecipient}`);
+    if (row.fee) console.log(`  fee executed: ${row.fee} USDC, finality ${transfer.finalityThresholdExecuted}`);
+    if (transfer.irisStatus) console.log(`  Iris: ${transfer.irisStatus}${transfer.nonce ? `, nonce ${transfer.nonce}` : ""}`);
+    if (transfer.mintTx) console.log(`  mint tx: ${transfer.mintTx}`);
+    if (row.took) console.log(`  burn to mint: ${row.took}`);
+  }
+}
+
+const domainLabel = (domain) => {
+  try {
+    return `${domain} (${getNetworkByDomain(domain).name})`;
+  } catch {
+    return `${domain}`;
+  }
+};
+
+// A bytes32 also shown in its chain's own format, when the domain is known and the value fits it
+const withNativeAddress = (domain, bytes32) => {
+  try {
+    return `${bytes32} (${bytes32ToAddress(getNetworkByDomain(domain).kind, bytes32)})`;
+  } catch {
+    return bytes32;
+  }
+};
+
+async function decodeCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: { json: { type: "boolean" } },
+  });
+  if (!positionals[0]) throw new Error(`decode needs a message\n\n${USAGE}`);
+  const decoded = decodeMessage(positionals[0]);
+
+  if (values.json) {
+    console.log(toJson(decoded));
+    return;
+  }
+  const { burnMessage } = decoded;
+  console.log(`CCTP message v${decoded.version}`);
+  console.log(`  sourceDomain:              ${domainLabel(decoded.sourceDomain)}`);
+  console.log(`  destinationDomain:         ${domainLabel(decoded.destinationDomain)}`);
+  console.log(`  nonce:                     ${decoded.nonce}`);
+  console.log(`  sender:                    ${decoded.sender}`);
+  console.log(`  recipient:                 ${decoded.recipient}`);
+  console.log(`  destinationCaller:         ${decoded.destinationCaller}`);
+  console.log(`  minFinalityThreshold:      ${decoded.minFinalityThreshold}`);
+  console.log(`  finalityThresholdExecuted: ${decoded.finalityThresholdExecuted}`);
+  console.log(`BurnMessage v${burnMessage.version}`);
+  console.log(`  burnToken:                 ${burnMessage.burnToken}`);
+  console.log(`  mintRecipient:             ${withNativeAddress(decoded.destinationDomain, burnMessage.mintRecipient)}`);
+  console.log(`  amount:                    ${burnMessage.amount} (${formatUsdcAmount(burnMessage.amount)} USDC)`);
+  console.log(`  messageSender:             ${withNativeAddress(decoded.sourceDomain, burnMessage.messageSender)}`);
+  console.log(`  maxFee:                    ${burnMessage.maxFee} (${formatUsdcAmount(burnMessage.maxFee)} USDC)`);
+  console.log(`  feeExecuted:               ${burnMessage.feeExecuted} (${formatUsdcAmount(burnMessage.feeExecuted)} USDC)`);
+  console.log(`  expirationBlock:           ${burnMessage.expirationBlock}`);
+  console.log(`  hookData:                  ${formatHookData(burnMessage.hookData)}`);
+}
+
+async function resumeCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: { journal: { type: "string" }, "dry-run": { type: "boolean" } },
+  });
+  const journal = openJournal(values.journal || process.env.CCTP_JOURNAL || DEFAULT_JOURNAL_PATH);
+  const results = await resume({ journal, passphrase, dryRun: values["dry-run"], onProgress: printProgress });
+  if (!results.length) {
+    console.log(`No unfinished transfers in ${journal.file}.`);
+    return;
+  }
+  for (const result of results) {
+    const detail = result.mintTx ?? result.error?.shortMessage ?? result.error?.message ?? "";
+    const status = result.alreadyMinted ? "already minted" : result.status;
+    console.log(`${result.id}: ${status} ${detail}`.trim());
+  }
+  const simulationFailed = results.some((result) => result.simulations?.some((simulation) => !simulation.ok));
+  if (simulationFailed || results.some((result) => result.status === "failed")) process.exitCode = 1;
+}
+
+// `idl` compares the bundled Solana IDLs with the on-chain ones; `idl update` re-pins them
+async function idlCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: { network: { type: "string" } },
+  });
+  const [action = "check"] = positionals;
+  if (action !== "check" && action !== "update") throw new Error(`Unknown idl action "${action}"; use check or update`);
+  const network = getNetwork(values.network ?? "solana-devnet");
+  if (network.kind !== "solana") throw new Error(`${network.label} is not a Solana network`);
+  const short = (hash) => (hash ? hash.slice(0, 16) : "");
+
+  if (action === "update") {
+    const results = await updateIdls(network, { onProgress: printProgress });
+    console.table(
+      results.map((result) => ({
+        file: result.file,
+        version: result.version ?? "",
+        previous: short(result.previousHash),
+        sha256: short(result.hash),
+        changed: result.changed,
+      })),
+    );
+    if (results.some(({ changed }) => changed)) console.log(`Updated IDLs in ${BUNDLED_IDL_DIR}; review the diff before committing.`);
+    return;
+  }
+
+  const results = await checkIdls(network);
+  console.table(
+    results.map((result) => ({
+      file: result.file,
+      version: result.version ?? "",
+      bundled: short(result.bundledHash),
+      onChain: short(result.onChainHash),
+      status: result.status,
+    })),
+  );
+  if (results.some(({ status }) => status === "drift" || status === "no-bundle")) process.exitCode = 1;
+}
+
+// Every profile, including ones added or changed by the networks file
+async function networksCommand(args) {
+  const { values } = parseArgs({ args, options: { json: { type: "boolean" } } });
+  const rows = Object.entries(listNetworks()).map(([name, profile]) => ({
+    name,
+    label: profile.label,
+    kind: profile.kind,
+    domain: profile.domain,
+    mainnet: Boolean(profile.mainnet),
+    rpc: process.env[profile.rpcEnv] ? `$${profile.rpcEnv}` : (profile.defaultRpc ?? ""),
+    iris: profile.iris,
+  }));
+  if (values.json) console.log(toJson(rows));
+  else console.table(rows);
+}
+
+// Move the plaintext key from .env into an encrypted keystore file
+async function keystoreCommand(args) {
+  const { values, positionals } = parseArgs({ args, allowPositionals: true, options: { out: { type: "string" } } });
+  const [kind] = positionals;
+  if (!KEYSTORE_ENV[kind] || !values.out) throw new Error(`keystore needs a chain kind and --out\n\n${USAGE}`);
+  const key = readPlaintextKey(kind);
+  let secret = process.env.KEYSTORE_PASSWORD;
+  if (secret === undefined) {
+    secret = await promptHidden("New keystore passphrase");
+    if ((await promptHidden("Repeat the passphrase")) !== secret) throw new Error("Passphrases do not match");
+  }
+  if (!secret) throw new Error("Refusing to encrypt with an empty passphrase");
+  const address = kind === "evm" ? privateKeyToAccount(`0x${key.toString("hex")}`).address : undefined;
+  writeKeystoreFile(values.out, await encryptKeystore(key, secret, { address }));
+  console.log(`Wrote ${values.out}. Set ${KEYSTORE_ENV[kind].file}=${values.out} and delete the plaintext key.`);
+}
+
+const COMMANDS = {
+  transfer: transferCommand,
+  batch: batchCommand,
+  relay: relayCommand,
+  reclaim: reclaimCommand,
+  idl: idlCommand,
+  networks: networksCommand,
+  keystore: keystoreCommand,
+  history: historyCommand,
+  status: statusCommand,
+  resume: resumeCommand,
+  complete: completeCommand,
+  decode: decodeCommand,
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command || command === "-h" || command === "--help" || args.includes("--help") || args.includes("-h")) {
+    console.log(USAGE);
+    return;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  // Global: unlocks the mainnet profiles for whichever command runs
+  if (args.includes("--mainnet")) process.env.CCTP_MAINNET = "true";
+  await run(args.filter((arg) => arg !== "--mainnet"));
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
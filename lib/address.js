@@ -0,0 +1,92 @@
+// Address validation and bytes32 conversion for every chain kind; a malformed recipient means lost funds
+import { Buffer } from "node:buffer";
+import { getAddress, isAddress } from "viem";
+import { PublicKey } from "@solana/web3.js";
+
+// Starknet felts are below the field prime; contract addresses below 2^251 - 256
+export const STARKNET_FIELD_PRIME = 2n ** 251n + 17n * 2n ** 192n + 1n;
+export const STARKNET_ADDRESS_BOUND = 2n ** 251n - 256n;
+
+const EVM_ADDRESS_BOUND = 2n ** 160n;
+
+const invalid = (kind, address, why) => {
+  const err = new Error(`${JSON.stringify(String(address))} is not a valid ${kind} address: ${why}`);
+  err.code = "INVALID_ADDRESS";
+  return err;
+};
+
+// Checksummed; a mixed-case address must carry a correct EIP-55 checksum
+export function normalizeEvmAddress(address) {
+  if (typeof address !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    throw invalid("EVM", address, "expected 0x and 40 hex digits");
+  }
+  const digits = address.slice(2);
+  const mixedCase = digits !== digits.toLowerCase() && digits !== digits.toUpperCase();
+  if (mixedCase && !isAddress(address)) throw invalid("EVM", address, "bad checksum (check for a typo)");
+  return getAddress(address);
+}
+
+// 0x plus 64 lowercase hex digits. Values below 2^160 are refused: that is an EVM address, and
+// no real Starknet address has 92 leading zero bits
+export function normalizeStarknetAddress(address) {
+  if (typeof address !== "string" || !/^0x[0-9a-fA-F]{1,64}$/.test(address)) {
+    throw invalid("Starknet", address, "expected 0x and up to 64 hex digits");
+  }
+  const value = BigInt(address);
+  if (value >= STARKNET_FIELD_PRIME) throw invalid("Starknet", address, "not a felt (at or above the field prime)");
+  if (value >= STARKNET_ADDRESS_BOUND) throw invalid("Starknet", address, "above the contract address range (2^251 - 256)");
+  if (value < EVM_ADDRESS_BOUND) throw invalid("Starknet", address, "too short; this looks like an EVM address");
+  return `0x${value.toString(16).padStart(64, "0")}`;
+}
+
+// Base58 encoding of a 32-byte public key
+export function normalizeSolanaAddress(address) {
+  if (typeof address !== "string" || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+    throw invalid("Solana", address, "expected a base58 public key");
+  }
+  try {
+    return new PublicKey(address).toBase58();
+  } catch {
+    throw invalid("Solana", address, "not 32 bytes");
+  }
+}
+
+const NORMALIZERS = { evm: normalizeEvmAddress, starknet: normalizeStarknetAddress, solana: normalizeSolanaAddress };
+
+const normalizerFor = (kind) => {
+  const normalize = NORMALIZERS[kind];
+  if (!normalize) throw new Error(`Unknown chain kind "${kind}"`);
+  return normalize;
+};
+
+// The canonical form of `address` for a chain kind ("evm", "starknet" or "solana"); throws if malformed
+export const normalizeAddress = (kind, address) => normalizerFor(kind)(address);
+
+export const isValidAddress = (kind, address) => {
+  try {
+    normalizeAddress(kind, address);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Validate, then left-pad to the bytes32 used for mintRecipient / destinationCaller
+export function addressToBytes32(kind, address) {
+  const normalized = normalizeAddress(kind, address);
+  const hex = kind === "solana" ? new PublicKey(normalized).toBuffer().toString("hex") : normalized.slice(2);
+  return `0x${hex.toLowerCase().padStart(64, "0")}`;
+}
+
+// A bytes32 from a message back to the chain's own address format
+export function bytes32ToAddress(kind, bytes32) {
+  if (typeof bytes32 !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(bytes32)) {
+    throw new Error(`${JSON.stringify(String(bytes32))} is not a bytes32 hex value`);
+  }
+  if (kind === "solana") return new PublicKey(Buffer.from(bytes32.slice(2), "hex")).toBase58();
+  if (kind === "evm") {
+    if (BigInt(bytes32) >= EVM_ADDRESS_BOUND) throw invalid("EVM", bytes32, "upper 12 bytes are not zero");
+    return getAddress(`0x${bytes32.slice(-40)}`);
+  }
+  return normalizeAddress(kind, bytes32);
+}
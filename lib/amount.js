@@ -0,0 +1,27 @@
+// USDC amount parsing/formatting (6 decimals on every CCTP chain)
+import { parseUnits, formatUnits } from "viem";
+
+export const USDC_DECIMALS = 6;
+
+// Parse a human-readable decimal amount ("2.5") into base units, rejecting sub-micro precision.
+// Zero is refused unless `allowZero` (a fee cap can be 0; a transfer can't)
+export function parseUsdcAmount(value, { allowZero = false } = {}) {
+  const str = String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(str)) throw new Error(`Invalid USDC amount "${value}"`);
+  const decimals = str.split(".")[1]?.length ?? 0;
+  if (decimals > USDC_DECIMALS) {
+    throw new Error(`USDC amount "${value}" has more than ${USDC_DECIMALS} decimals`);
+  }
+  const amount = parseUnits(str, USDC_DECIMALS);
+  if (amount === 0n && !allowZero) throw new Error(`USDC amount "${value}" must be more than zero`);
+  return amount;
+}
+
+// A transfer amount given either as base units or as a decimal string, refusing anything not positive
+export function toUsdcAmount(value) {
+  if (typeof value !== "bigint") return parseUsdcAmount(value);
+  if (value <= 0n) throw new Error(`USDC amount ${value} must be more than zero`);
+  return value;
+}
+
+export const formatUsdcAmount = (amount) => formatUnits(amount, USDC_DECIMALS);
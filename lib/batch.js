@@ -0,0 +1,353 @@
+// Batch payouts: burn one transfer per row, collect the attestations, then mint them together
+import fs from "node:fs";
+import {
+  ROUTES,
+  toNetwork,
+  irisFor,
+  assertSameEnvironment,
+  normalizeRecipient,
+  checkRecipientAccounts,
+  checkDestinationCaller,
+  callerMismatch,
+  assertDestinationCaller,
+  journalRecorder,
+  recordSentBurn,
+  handedOff,
+  expectedMessage,
+  nonceUsage,
+  runPreflight,
+} from "./bridge.js";
+import { loadSigner, signerAddress } from "./signers.js";
+import { toUsdcAmount } from "./amount.js";
+import { ZERO_BYTES32, parseHookData } from "./encoding.js";
+import { decodeMessage, validateMessage } from "./message.js";
+import { STATUS } from "./journal.js";
+import { FINALITY, quoteTransferFee } from "./fees.js";
+
+export const DEFAULT_MINT_CHUNK_SIZE = 10; // receive_message calls per Starknet multicall
+
+const CSV_COLUMNS = ["recipient", "amount", "hookdata"];
+
+// Split CSV text into records of fields (RFC 4180: quoted fields may hold commas, quotes doubled
+// as "" and line breaks), each with the line it starts on. Blank lines and # comments are skipped.
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+  let raw = ""; // the record as written, to spot blank and comment lines
+  const endRecord = () => {
+    fields.push(field.trim());
+    if (raw.trim() && !raw.trimStart().startsWith("#")) records.push({ line: startLine, fields });
+    fields = [];
+    field = "";
+    raw = "";
+    startLine = line;
+  };
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        raw += char;
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        field += char;
+      }
+      raw += char;
+    } else if (char === '"' && !field.trim()) {
+      quoted = true;
+      field = "";
+      raw += char;
+    } else if (char === ",") {
+      fields.push(field.trim());
+      field = "";
+      raw += char;
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      line += 1;
+      endRecord();
+    } else {
+      field += char;
+      raw += char;
+    }
+  }
+  if (quoted) throw new Error(`Batch file line ${startLine}: unterminated quoted field`);
+  endRecord();
+  return records;
+}
+
+/**
+ * Read batch rows from a JSON array of { recipient, amount[, hookData] } or from a CSV with
+ * recipient,amount[,hookData] columns (blank lines and # comments skipped). Quote a field that
+ * holds commas or quotes, e.g. hook data text. The first row is a header only when it names
+ * those columns; a row with more columns is refused rather than cut short.
+ * Amounts are decimal USDC strings.
+ */
+export function readBatchFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (file.endsWith(".json") || text.trimStart().startsWith("[")) {
+    return JSON.parse(text).map(({ recipient, amount, hookData }) => ({ recipient, amount: String(amount), hookData }));
+  }
+  const records = parseCsv(text);
+  const isHeader = records[0]?.fields.every((name, i) => name.replace(/[\s_]/g, "").toLowerCase() === CSV_COLUMNS[i]);
+  const body = isHeader ? records.slice(1) : records;
+  return body.map(({ line, fields }) => {
+    if (fields.length > CSV_COLUMNS.length) {
+      throw new Error(
+        `Batch file line ${line} has ${fields.length} fields, expected recipient,amount[,hookData]; quote a field that contains a comma`,
+      );
+    }
+    const [recipient, amount, hookData] = fields;
+    return { recipient, amount, hookData: hookData || undefined };
+  });
+}
+
+/**
+ * Pay every row from one source signer: burn each transfer (each journaled like a normal
+ * transfer), wait for all the attestations, then mint. Destinations with a `mintMany` route
+ * (Starknet) get `mintChunkSize` receive_message calls per multicall; a chunk that fails is
+ * retried one message at a time so a single bad row doesn't hold up the rest. With a
+ * `destinationCaller` other than the destination signer, every row ends at its burn as
+ * "handed-off" for that caller to mint. Resolves to one report row per input row; rows that
+ * fail are reported, not thrown.
+ *
+ * @param {import("./index.js").BatchOptions} options
+ * @returns {Promise<import("./index.js").BatchReportRow[]>}
+ */
+export async function batchTransfer({
+  source,
+  destination = "starknet-sepolia",
+  rows,
+  signers = {},
+  passphrase,
+  minFinalityThreshold = FINALITY.fast,
+  maxFee,
+  fallbackToStandard = false,
+  approval,
+  destinationCaller,
+  preflight = true,
+  mintChunkSize = DEFAULT_MINT_CHUNK_SIZE,
+  env = process.env,
+  journal,
+  eventAccounts,
+  iris,
+  onProgress = () => {},
+}) {
+  if (!Number.isInteger(mintChunkSize) || mintChunkSize < 1) {
+    throw new Error(`mintChunkSize must be a positive integer, got ${mintChunkSize}`);
+  }
+  const sourceNetwork = toNetwork(source, env);
+  const destinationNetwork = toNetwork(destination, env);
+  assertSameEnvironment(sourceNetwork, destinationNetwork);
+  const burnRoute = ROUTES[sourceNetwork.kind];
+  const mintRoute = ROUTES[destinationNetwork.kind];
+  const sourceSigner = signers[sourceNetwork.kind] ?? (await loadSigner(sourceNetwork, env, { passphrase }));
+  const destinationSigner = signers[destinationNetwork.kind] ?? (await loadSigner(destinationNetwork, env, { passphrase }));
+  const irisClient = irisFor(iris, env, sourceNetwork);
+  const callerBytes32 = checkDestinationCaller(destinationNetwork, destinationCaller);
+
+  const transfers = rows.map((row, index) => {
+    if (!row.recipient || row.amount === undefined || row.amount === "") {
+      throw new Error(`Batch row ${index + 1} needs a recipient and an amount`);
+    }
+    let recipient;
+    let amount;
+    let hookData;
+    try {
+      recipient = normalizeRecipient(destinationNetwork, row.recipient);
+      amount = toUsdcAmount(row.amount);
+      hookData = parseHookData(row.hookData);
+    } catch (err) {
+      throw new Error(`Batch row ${index + 1}: ${err.message}`);
+    }
+    return {
+      index,
+      recipient,
+      amount,
+      hookData,
+      status: "pending",
+    };
+  });
+  const total = transfers.reduce((sum, transfer) => sum + transfer.amount, 0n);
+  await checkRecipientAccounts(destinationNetwork, [...new Set(transfers.map(({ recipient }) => recipient))]);
+
+  // As in bridge: another destinationCaller mints every row, so we stop after the burns
+  const handOff = callerMismatch(destinationNetwork, destinationSigner, callerBytes32);
+  if (handOff) onProgress({ type: "log", message: `${handOff}; each transfer is handed off to it after its burn` });
+  if (preflight) {
+    const failures = await runPreflight(
+      [
+        { network: sourceNetwork, signer: sourceSigner, role: "burn" },
+        ...(handOff
+          ? []
+          : [{ network: destinationNetwork, signer: destinationSigner, role: "mint" }]),
+      ],
+      { amount: total, transfers: transfers.length, env, onProgress },
+    );
+    if (failures.length) {
+      throw new Error(`Pre-flight checks failed, nothing was sent:\n  ${failures.join("\n  ")}`);
+    }
+  }
+
+  const fail = (transfer, err) => {
+    transfer.status = "failed";
+    transfer.error = err.message;
+    transfer.record?.({ error: err.message });
+  };
+
+  // 1. Burn every row; the source stays one signer, so these go out one after another
+  const sender = signerAddress(sourceNetwork, sourceSigner);
+  for (const transfer of transfers) {
+    try {
+      const fee = await quoteTransferFee({
+        iris: irisClient,
+        sourceDomain: sourceNetwork.domain,
+        destinationDomain: destinationNetwork.domain,
+        amount: transfer.amount,
+        minFinalityThreshold,
+        maxFeeCap: maxFee,
+        fallbackToStandard,
+        onProgress,
+      });
+      const entry = journal?.create({
+        source: sourceNetwork.name,
+        destination: destinationNetwork.name,
+        sender,
+        recipient: transfer.recipient,
+        amount: transfer.amount.toString(),
+        maxFee: fee.maxFee.toString(),
+        minFinalityThreshold: fee.minFinalityThreshold,
+        ...(transfer.hookData !== "0x" ? { hookData: transfer.hookData } : {}),
+        ...(callerBytes32 !== ZERO_BYTES32 ? { destinationCaller: callerBytes32 } : {}),
+      });
+      transfer.record = journalRecorder(journal, entry?.id);
+      onProgress({ type: "log", message: `Row ${transfer.index + 1}: burning for ${transfer.recipient}` });
+      transfer.burnTx = await burnRoute.burn({
+        network: sourceNetwork,
+        signer: sourceSigner,
+        env,
+        onProgress,
+        approval,
+        amount: transfer.amount,
+        destinationDomain: destinationNetwork.domain,
+        mintRecipient: mintRoute.toMintRecipient(destinationNetwork, transfer.recipient),
+        destinationCaller: callerBytes32,
+        maxFee: fee.maxFee,
+        minFinalityThreshold: fee.minFinalityThreshold,
+        hookData: transfer.hookData,
+        eventAccounts,
+        onSent: recordSentBurn(transfer.record),
+      });
+      if (handOff) {
+        handedOff(destinationNetwork, destinationCaller, transfer.burnTx, transfer.record, onProgress);
+        transfer.status = "handed-off";
+        continue;
+      }
+      transfer.record({ status: STATUS.burned, burnTx: transfer.burnTx });
+    } catch (err) {
+      fail(transfer, err);
+    }
+  }
+
+  const alreadyMinted = (transfer, { redeemTx }) => {
+    Object.assign(transfer, { status: "already-minted", mintTx: redeemTx });
+    transfer.record({ status: STATUS.minted, mintTx: redeemTx, alreadyMinted: true, error: undefined });
+  };
+
+  // 2. Collect the attestations and drop anything already minted
+  const toMint = [];
+  for (const transfer of transfers.filter(({ burnTx, status }) => burnTx && status === "pending")) {
+    try {
+      transfer.attestation = await irisClient.waitForAttestation(sourceNetwork.domain, transfer.burnTx, {
+        onProgress,
+        destinationDomain: destinationNetwork.domain,
+      });
+      transfer.record({ status: STATUS.attested, attestation: transfer.attestation });
+      const decoded = validateMessage(
+        decodeMessage(transfer.attestation.message),
+        expectedMessage(
+          sourceNetwork,
+          destinationNetwork,
+          transfer.recipient,
+          transfer.amount,
+          transfer.hookData,
+          callerBytes32,
+        ),
+      );
+      transfer.decoded = decoded;
+      transfer.nonce = decoded.nonce;
+      const usage = await nonceUsage(destinationNetwork, decoded, onProgress);
+      if (usage.used) {
+        alreadyMinted(transfer, usage);
+      } else {
+        assertDestinationCaller(destinationNetwork, destinationSigner, decoded);
+        toMint.push(transfer);
+      }
+    } catch (err) {
+      fail(transfer, err);
+    }
+  }
+
+  // 3. Mint: multicall chunks where the destination supports it, else one at a time
+  const mintOne = async (transfer) => {
+    try {
+      const mintTx = await mintRoute.mint({
+        network: destinationNetwork,
+        signer: destinationSigner,
+        env,
+        onProgress,
+        attestation: transfer.attestation,
+        recipient: transfer.recipient,
+      });
+      Object.assign(transfer, { status: "minted", mintTx });
+      transfer.record({ status: STATUS.minted, mintTx, error: undefined });
+    } catch (err) {
+      // A relayer may have raced us to it
+      const raced = await nonceUsage(destinationNetwork, transfer.decoded, onProgress);
+      if (raced.used) alreadyMinted(transfer, raced);
+      else fail(transfer, err);
+    }
+  };
+  const chunkSize = mintRoute.mintMany ? mintChunkSize : 1;
+  for (let start = 0; start < toMint.length; start += chunkSize) {
+    const chunk = toMint.slice(start, start + chunkSize);
+    if (chunk.length === 1) {
+      await mintOne(chunk[0]);
+      continue;
+    }
+    try {
+      const mintTx = await mintRoute.mintMany({
+        network: destinationNetwork,
+        signer: destinationSigner,
+        env,
+        onProgress,
+        attestations: chunk.map(({ attestation }) => attestation),
+      });
+      for (const transfer of chunk) {
+        Object.assign(transfer, { status: "minted", mintTx });
+        transfer.record({ status: STATUS.minted, mintTx, error: undefined });
+      }
+    } catch (err) {
+      onProgress({ type: "log", message: `Multicall of ${chunk.length} mints failed (${err.message}); minting one by one` });
+      for (const transfer of chunk) await mintOne(transfer);
+    }
+  }
+
+  return transfers.map(({ index, recipient, amount, hookData, burnTx, nonce, mintTx, status, error }) => ({
+    row: index + 1,
+    recipient,
+    amount,
+    ...(hookData !== "0x" ? { hookData } : {}),
+    burnTx,
+    nonce,
+    mintTx,
+    status,
+    error,
+  }));
+}
@@ -0,0 +1,636 @@
+// Route any supported burn → attestation → mint transfer
+import * as evm from "./evm.js";
+import * as solana from "./solana.js";
+import * as starknet from "./starknet.js";
+import { getNetwork, getNetworkByDomain, resolveNetwork } from "./networks.js";
+import { loadSigner, signerAddress } from "./signers.js";
+import { createIrisClient, irisOptionsFromEnv } from "./iris.js";
+import { toUsdcAmount } from "./amount.js";
+import { ZERO_BYTES32, parseHookData, toBytes32 } from "./encoding.js";
+import { normalizeAddress, addressToBytes32, bytes32ToAddress } from "./address.js";
+import { decodeMessage, validateMessage } from "./message.js";
+import { STATUS } from "./journal.js";
+import { FINALITY, quoteTransferFee } from "./fees.js";
+
+// Route table: the burn implementation comes from the source chain kind, the mint from the destination's
+export const ROUTES = {
+  evm: {
+    burn: evm.burn,
+    mint: evm.mint,
+    toMintRecipient: evm.toMintRecipient,
+    fromMintRecipient: evm.fromMintRecipient,
+    checkNonceUsed: evm.checkNonceUsed,
+    preflight: evm.preflight,
+    simulateBurn: evm.simulateBurn,
+    simulateMint: evm.simulateMint,
+    // Burns to watch for; used by the relayer
+    findBurns: evm.findBurns,
+  },
+  solana: {
+    burn: solana.burn,
+    mint: solana.mint,
+    toMintRecipient: solana.toMintRecipient,
+    // Refuses token accounts passed as recipients; always runs, unlike pre-flight
+    checkRecipients: solana.checkRecipients,
+    checkNonceUsed: solana.checkNonceUsed,
+    preflight: solana.preflight,
+    simulateBurn: solana.simulateBurn,
+    simulateMint: solana.simulateMint,
+    // Burns to watch for; used by the relayer
+    findBurns: solana.findBurns,
+  },
+  starknet: {
+    burn: starknet.burn,
+    mint: starknet.mint,
+    toMintRecipient: starknet.toMintRecipient,
+    fromMintRecipient: starknet.fromMintRecipient,
+    checkNonceUsed: starknet.checkNonceUsed,
+    preflight: starknet.preflight,
+    simulateBurn: starknet.simulateBurn,
+    simulateMint: starknet.simulateMint,
+    // Several receive_message calls in one multicall; used by batch transfers
+    mintMany: starknet.mintMany,
+  },
+};
+
+export { FINALITY };
+
+// Recipient env vars kept from the per-route scripts, used when no recipient is given
+const RECIPIENT_ENV = {
+  evm: "DESTINATION_ADDRESS",
+  starknet: "DESTINATION_STARKNET_ADDRESS",
+  solana: "DESTINATION_SOLANA_ADDRESS",
+};
+
+// The helpers below are shared with batch.js but are not part of the package API
+
+export const toNetwork = (network, env) => (typeof network === "string" ? getNetwork(network, env) : network);
+
+// A client for the Iris host attesting `network`'s messages, unless one was passed in
+export const irisFor = (iris, env, network) => iris ?? createIrisClient(irisOptionsFromEnv(env, network));
+
+// Testnet burns are only attested by the sandbox, mainnet burns only by mainnet Iris
+export const assertSameEnvironment = (sourceNetwork, destinationNetwork) => {
+  if (Boolean(sourceNetwork.mainnet) !== Boolean(destinationNetwork.mainnet)) {
+    throw new Error(`Can't bridge between ${sourceNetwork.label} and ${destinationNetwork.label}: one is mainnet, the other testnet`);
+  }
+};
+
+const recipientError = (destinationNetwork, err) => {
+  const wrapped = new Error(`Recipient for ${destinationNetwork.label}: ${err.message}`);
+  wrapped.code = err.code;
+  return wrapped;
+};
+
+// The recipient in the destination's canonical address form; a format that's wrong for the
+// destination (e.g. an EVM address for Starknet) is refused before anything is sent
+export const normalizeRecipient = (destinationNetwork, address) => {
+  try {
+    return normalizeAddress(destinationNetwork.kind, address);
+  } catch (err) {
+    throw recipientError(destinationNetwork, err);
+  }
+};
+
+// Ask the destination route whether normalized recipients can receive a mint (Solana refuses
+// token accounts); not part of pre-flight, so skipping the checks doesn't skip this
+export async function checkRecipientAccounts(destinationNetwork, recipients) {
+  try {
+    await ROUTES[destinationNetwork.kind].checkRecipients?.(destinationNetwork, recipients);
+  } catch (err) {
+    throw recipientError(destinationNetwork, err);
+  }
+}
+
+// Format and account checks together, for a single recipient
+export async function checkRecipient(destinationNetwork, address) {
+  const recipient = normalizeRecipient(destinationNetwork, address);
+  await checkRecipientAccounts(destinationNetwork, [recipient]);
+  return recipient;
+}
+
+// The bytes32 destinationCaller for an address on the destination chain; no address means
+// anyone may mint (all zeroes)
+export const checkDestinationCaller = (destinationNetwork, address) => {
+  if (!address) return ZERO_BYTES32;
+  try {
+    return addressToBytes32(destinationNetwork.kind, address);
+  } catch (err) {
+    const wrapped = new Error(`Destination caller for ${destinationNetwork.label}: ${err.message}`);
+    wrapped.code = err.code;
+    throw wrapped;
+  }
+};
+
+// The account our mints are sent from, as the bytes32 a destinationCaller is compared with
+const signerBytes32 = (network, signer) => {
+  const address = signerAddress(network, signer);
+  return network.kind === "solana" ? addressToBytes32("solana", address) : toBytes32(address);
+};
+
+// Why `destinationSigner` can't receive a message restricted to `destinationCaller`, or undefined if it can
+export const callerMismatch = (destinationNetwork, destinationSigner, destinationCaller) => {
+  if (BigInt(destinationCaller) === 0n) return undefined;
+  if (BigInt(destinationCaller) === BigInt(signerBytes32(destinationNetwork, destinationSigner))) return undefined;
+  let caller = destinationCaller;
+  try {
+    caller = bytes32ToAddress(destinationNetwork.kind, destinationCaller);
+  } catch {
+    // shown as the raw bytes32
+  }
+  return `only destinationCaller ${caller} may mint this message on ${destinationNetwork.label}, but the mint signer is ${signerAddress(destinationNetwork, destinationSigner)}`;
+};
+
+// Refuse before sending a mint the destination transmitter would revert
+export const assertDestinationCaller = (destinationNetwork, destinationSigner, decoded) => {
+  const mismatch = callerMismatch(destinationNetwork, destinationSigner, decoded.destinationCaller);
+  if (!mismatch) return;
+  const err = new Error(`Refusing to mint: ${mismatch}`);
+  err.code = "DESTINATION_CALLER_MISMATCH";
+  throw err;
+};
+
+// Journal writer for one transfer; a no-op when no journal is configured
+export const journalRecorder = (journal, id) => (patch) => {
+  if (journal) journal.update(id, patch);
+};
+
+// `onSent` for a burn: journal each hash as it is broadcast, so a run that dies while the burn is
+// pending (or being fee-bumped) leaves something to resume. burnTxs keeps every attempt.
+export const recordSentBurn = (record) => (burnTx, burnTxs) =>
+  record({ burnTx, ...(burnTxs.length > 1 ? { burnTxs } : {}) });
+
+// A burn that was still pending when its run stopped may have been mined as any of its fee
+// bumps; use the first one Iris knows, else the last one sent
+async function sentBurnTx(iris, sourceNetwork, entry) {
+  if (entry.status !== STATUS.burning || !(entry.burnTxs?.length > 1)) return entry.burnTx;
+  for (const hash of entry.burnTxs) {
+    const { messages } = await iris.getMessages(sourceNetwork.domain, hash);
+    if (messages.length) return hash;
+  }
+  return entry.burnTx;
+}
+
+// End a transfer at its burn: the destinationCaller mints it, so resume leaves it alone
+export function handedOff(destinationNetwork, destinationCaller, burnTx, record, onProgress) {
+  const caller = normalizeAddress(destinationNetwork.kind, destinationCaller);
+  record({ status: STATUS.handedOff, burnTx });
+  onProgress({ type: "handed-off", chain: destinationNetwork.name, burnTx, destinationCaller: caller });
+  return { burnTx, handedOff: true, destinationCaller: caller };
+}
+
+// What the burn message must say for a transfer we started; unknown fields are left out
+export const expectedMessage = (sourceNetwork, destinationNetwork, recipient, amount, hookData, destinationCaller) => ({
+  sourceDomain: sourceNetwork.domain,
+  destinationDomain: destinationNetwork.domain,
+  mintRecipient: recipient
+    ? ROUTES[destinationNetwork.kind].toMintRecipient(destinationNetwork, recipient)
+    : undefined,
+  amount: amount === undefined ? undefined : BigInt(amount),
+  hookData,
+  destinationCaller,
+});
+
+// The recipient wallet a message mints to. EVM and Starknet messages name it; a Solana message
+// names a token account, whose owner is only known when it's the USDC ATA of one of `candidates`
+export const messageRecipient = (destinationNetwork, mintRecipient, candidates) => {
+  const route = ROUTES[destinationNetwork.kind];
+  if (route.fromMintRecipient) return route.fromMintRecipient(destinationNetwork, mintRecipient);
+  return candidates.find((candidate) => {
+    try {
+      return BigInt(route.toMintRecipient(destinationNetwork, candidate)) === BigInt(mintRecipient);
+    } catch {
+      return false; // not an address on this chain
+    }
+  });
+};
+
+// Ask the destination transmitter whether the nonce is spent; a failed lookup is reported, not fatal
+export async function nonceUsage(destinationNetwork, decoded, onProgress) {
+  try {
+    return await ROUTES[destinationNetwork.kind].checkNonceUsed(destinationNetwork, decoded);
+  } catch (err) {
+    onProgress({ type: "log", message: `Could not check nonce usage on ${destinationNetwork.label}: ${err.message}` });
+    return { used: false };
+  }
+}
+
+// Readiness checks for the source signer (role "burn") and the destination signer (role "mint");
+// returns every failed check. A check that can't be run counts as failed. `transfers` is how
+// many burns and mints the sides have to pay gas for (a batch's rows).
+export async function runPreflight(sides, { amount, transfers = 1, env, onProgress }) {
+  const failures = [];
+  for (const { network, signer, role, recipients } of sides) {
+    let checks;
+    try {
+      checks = await ROUTES[network.kind].preflight(network, signer, { role, amount, transfers, recipients, env, onProgress });
+    } catch (err) {
+      checks = [{ name: "Pre-flight lookup", ok: false, detail: err.message }];
+    }
+    onProgress({ type: "preflight", chain: network.name, role, checks });
+    for (const check of checks.filter(({ ok }) => !ok)) {
+      failures.push(`${network.label} ${check.name}: ${check.detail}`);
+    }
+  }
+  return failures;
+}
+
+// Report one dry-run step and pass it through
+const reportSimulation = (simulation, onProgress) => {
+  onProgress({ type: "simulated", ...simulation });
+  return simulation;
+};
+
+// Everything after the burn: wait for the attestation (unless already saved), check the
+// message against the transfer, skip it if the nonce is already used, then mint
+async function finishTransfer({
+  sourceNetwork,
+  destinationNetwork,
+  destinationSigner,
+  burnTx,
+  attestation,
+  recipient,
+  expected,
+  iris,
+  messageIndex,
+  record,
+  dryRun = false,
+  env,
+  onProgress,
+}) {
+  const attested =
+    attestation ??
+    (await iris.waitForAttestation(sourceNetwork.domain, burnTx, {
+      onProgress,
+      messageIndex,
+      destinationDomain: messageIndex === undefined ? expected.destinationDomain : undefined,
+    }));
+  if (!attestation) record({ status: STATUS.attested, attestation: attested });
+  const decoded = validateMessage(decodeMessage(attested.message), expected);
+  onProgress({ type: "log", message: `Message nonce ${decoded.nonce} validated` });
+
+  const alreadyMinted = ({ redeemTx }) => {
+    onProgress({ type: "already-minted", chain: destinationNetwork.name, nonce: decoded.nonce, txHash: redeemTx });
+    record({ status: STATUS.minted, mintTx: redeemTx, alreadyMinted: true, error: undefined });
+    return { burnTx, attestation: attested, mintTx: redeemTx, alreadyMinted: true };
+  };
+
+  const usage = await nonceUsage(destinationNetwork, decoded, onProgress);
+  if (usage.used) return alreadyMinted(usage);
+  assertDestinationCaller(destinationNetwork, destinationSigner, decoded);
+
+  if (dryRun) {
+    const simulation = await ROUTES[destinationNetwork.kind].simulateMint({
+      network: destinationNetwork,
+      signer: destinationSigner,
+      onProgress,
+      attestation: attested,
+      recipient,
+      env,
+    });
+    return { dryRun: true, burnTx, attestation: attested, simulations: [reportSimulation(simulation, onProgress)] };
+  }
+
+  let mintTx;
+  try {
+    mintTx = await ROUTES[destinationNetwork.kind].mint({
+      network: destinationNetwork,
+      signer: destinationSigner,
+      onProgress,
+      attestation: attested,
+      recipient,
+      env,
+    });
+  } catch (err) {
+    // A relayer may have raced us between the check and our mint
+    const raced = await nonceUsage(destinationNetwork, decoded, onProgress);
+    if (raced.used) return alreadyMinted(raced);
+    throw err;
+  }
+  record({ status: STATUS.minted, mintTx, error: undefined });
+  return { burnTx, attestation: attested, mintTx, alreadyMinted: false };
+}
+
+/**
+ * Bridge USDC from `source` to `destination`: burn, wait for the Iris attestation, mint.
+ * Signers are keyed by chain kind (`evm`, `solana`, `starknet`); any that are missing are
+ * loaded from `env`. `hookData` (hex or UTF-8 text, e.g. a payment reference) is attached with
+ * depositForBurnWithHook and travels in the message to the destination. `maxFee` caps the fee; the actual maxFee comes from the Iris fee quote. A
+ * fast transfer whose fee is over the cap, or unquoted, fails unless `fallbackToStandard` lets it drop to standard finality (see `quoteTransferFee`).
+ * Unless `preflight` is false, balances and account readiness on both sides are checked
+ * before anything is sent. When `destinationCaller` isn't the destination signer, only that caller
+ * can mint, so the transfer ends after the burn with a `handedOff` result. With `dryRun` nothing is broadcast or journaled: the burn is simulated
+ * and its estimated fee and calldata reported (the mint needs an attestation, so it can only be
+ * dry-run through `complete` or `resume`). Progress is reported through `onProgress`; pass a `journal` (see
+ * `openJournal`) to record each stage so an interrupted transfer can be resumed.
+ *
+ * @param {import("./index.js").BridgeOptions} options
+ * @returns {Promise<import("./index.js").BridgeResult>}
+ */
+export async function bridge({
+  source,
+  destination,
+  amount,
+  recipient,
+  signers = {},
+  passphrase,
+  minFinalityThreshold = FINALITY.fast,
+  maxFee,
+  fallbackToStandard = false,
+  approval,
+  hookData,
+  destinationCaller,
+  preflight = true,
+  dryRun = false,
+  env = process.env,
+  journal,
+  eventAccounts,
+  iris,
+  onProgress = () => {},
+}) {
+  const sourceNetwork = toNetwork(source, env);
+  const destinationNetwork = toNetwork(destination, env);
+  if (sourceNetwork.domain === destinationNetwork.domain) {
+    throw new Error(`Source and destination are both domain ${sourceNetwork.domain}`);
+  }
+  assertSameEnvironment(sourceNetwork, destinationNetwork);
+  const burnRoute = ROUTES[sourceNetwork.kind];
+  const mintRoute = ROUTES[destinationNetwork.kind];
+
+  const sourceSigner = signers[sourceNetwork.kind] ?? (await loadSigner(sourceNetwork, env, { passphrase }));
+  const destinationSigner = signers[destinationNetwork.kind] ?? (await loadSigner(destinationNetwork, env, { passphrase }));
+  const recipientAddress = await checkRecipient(
+    destinationNetwork,
+    recipient || env[RECIPIENT_ENV[destinationNetwork.kind]] || signerAddress(destinationNetwork, destinationSigner),
+  );
+  const baseUnits = toUsdcAmount(amount);
+  const hookDataHex = parseHookData(hookData);
+  const callerBytes32 = checkDestinationCaller(destinationNetwork, destinationCaller);
+  const irisClient = irisFor(iris, env, sourceNetwork);
+  const fee = await quoteTransferFee({
+    iris: irisClient,
+    sourceDomain: sourceNetwork.domain,
+    destinationDomain: destinationNetwork.domain,
+    amount: baseUnits,
+    minFinalityThreshold,
+    maxFeeCap: maxFee,
+    fallbackToStandard,
+    onProgress,
+  });
+
+  // A caller other than our mint signer mints the transfer itself: we stop after the burn, and the
+  // mint side (our signer's gas and account) doesn't need checking
+  const handOff = callerMismatch(destinationNetwork, destinationSigner, callerBytes32);
+  const preflightFailures = preflight
+    ? await runPreflight(
+        [
+          { network: sourceNetwork, signer: sourceSigner, role: "burn" },
+          ...(handOff
+            ? []
+            : [{ network: destinationNetwork, signer: destinationSigner, role: "mint" }]),
+        ],
+        { amount: baseUnits, env, onProgress },
+      )
+    : [];
+  if (handOff) onProgress({ type: "log", message: `${handOff}; the transfer is handed off to it after the burn` });
+  if (preflightFailures.length && !dryRun) {
+    throw new Error(`Pre-flight checks failed, nothing was sent:\n  ${preflightFailures.join("\n  ")}`);
+  }
+
+  const sender = signerAddress(sourceNetwork, sourceSigner);
+  const burnParams = {
+    network: sourceNetwork,
+    signer: sourceSigner,
+    env,
+    onProgress,
+    approval,
+    amount: baseUnits,
+    destinationDomain: destinationNetwork.domain,
+    mintRecipient: mintRoute.toMintRecipient(destinationNetwork, recipientAddress),
+    destinationCaller: callerBytes32,
+    maxFee: fee.maxFee,
+    minFinalityThreshold: fee.minFinalityThreshold,
+    hookData: hookDataHex,
+    eventAccounts,
+  };
+  if (dryRun) {
+    const simulation = reportSimulation(await burnRoute.simulateBurn(burnParams), onProgress);
+    onProgress({
+      type: "log",
+      message: `The ${destinationNetwork.label} mint can be dry-run with \`complete\` once the burn is attested`,
+    });
+    return { dryRun: true, preflightFailures, simulations: [simulation] };
+  }
+
+  const entry = journal?.create({
+    source: sourceNetwork.name,
+    destination: destinationNetwork.name,
+    sender,
+    recipient: recipientAddress,
+    amount: baseUnits.toString(),
+    maxFee: fee.maxFee.toString(),
+    minFinalityThreshold: fee.minFinalityThreshold,
+    ...(hookDataHex !== "0x" ? { hookData: hookDataHex } : {}),
+    ...(callerBytes32 !== ZERO_BYTES32 ? { destinationCaller: callerBytes32 } : {}),
+  });
+  const record = journalRecorder(journal, entry?.id);
+
+  onProgress({
+    type: "started",
+    id: entry?.id,
+    source: sourceNetwork.name,
+    destination: destinationNetwork.name,
+    sender,
+    recipient: recipientAddress,
+    amount: baseUnits,
+    maxFee: fee.maxFee,
+    feeBps: fee.feeBps,
+    minFinalityThreshold: fee.minFinalityThreshold,
+    hookData: hookDataHex,
+    ...(destinationCaller ? { destinationCaller: normalizeAddress(destinationNetwork.kind, destinationCaller) } : {}),
+  });
+
+  try {
+    const burnTx = await burnRoute.burn({ ...burnParams, onSent: recordSentBurn(record) });
+    if (handOff) return handedOff(destinationNetwork, destinationCaller, burnTx, record, onProgress);
+    record({ status: STATUS.burned, burnTx });
+
+    return await finishTransfer({
+      sourceNetwork,
+      destinationNetwork,
+      destinationSigner,
+      burnTx,
+      recipient: recipientAddress,
+      expected: expectedMessage(
+        sourceNetwork,
+        destinationNetwork,
+        recipientAddress,
+        baseUnits,
+        hookDataHex,
+        callerBytes32,
+      ),
+      iris: irisClient,
+      record,
+      env,
+      onProgress,
+    });
+  } catch (err) {
+    record({ error: err.message });
+    throw err;
+  }
+}
+
+/**
+ * Finish a burn made elsewhere (a web UI, a colleague's run): fetch its message from Iris,
+ * read the destination domain from the message and submit the matching mint. The mint
+ * recipient is read from the message too; on Solana, where the message only names a token
+ * account, its owner (needed to create the account) is `recipient`, the `DESTINATION_SOLANA_ADDRESS`
+ * wallet or the destination signer, whichever the token account is the USDC ATA of.
+ *
+ * @param {import("./index.js").CompleteOptions} options
+ * @returns {Promise<import("./index.js").BridgeResult>}
+ */
+export async function complete({
+  source,
+  burnTx,
+  messageIndex,
+  recipient,
+  signers = {},
+  passphrase,
+  env = process.env,
+  journal,
+  iris,
+  dryRun = false,
+  onProgress = () => {},
+}) {
+  const sourceNetwork = typeof source === "object" ? source : resolveNetwork(source, env);
+  const attestation = await irisFor(iris, env, sourceNetwork).waitForAttestation(sourceNetwork.domain, burnTx, {
+    onProgress,
+    messageIndex,
+  });
+  const decoded = decodeMessage(attestation.message);
+  const { destinationDomain } = decoded;
+  const destinationNetwork = getNetworkByDomain(destinationDomain, env, { mainnet: Boolean(sourceNetwork.mainnet) });
+  const destinationSigner = signers[destinationNetwork.kind] ?? (await loadSigner(destinationNetwork, env, { passphrase }));
+  onProgress({
+    type: "log",
+    message: `Message from ${sourceNetwork.label} is for ${destinationNetwork.label} (domain ${destinationDomain})`,
+  });
+  // A recipient we were given must be the one in the message; otherwise read it from the message
+  const recipientAddress = recipient
+    ? normalizeRecipient(destinationNetwork, recipient)
+    : messageRecipient(
+        destinationNetwork,
+        decoded.burnMessage.mintRecipient,
+        [env[RECIPIENT_ENV[destinationNetwork.kind]], signerAddress(destinationNetwork, destinationSigner)].filter(Boolean),
+      );
+  if (recipient) validateMessage(decoded, expectedMessage(sourceNetwork, destinationNetwork, recipientAddress));
+  if (!recipientAddress) {
+    onProgress({
+      type: "log",
+      message: `Mint recipient ${bytes32ToAddress(destinationNetwork.kind, decoded.burnMessage.mintRecipient)} isn't the USDC account of a known wallet, so it must already exist; pass its owner as the recipient to create it`,
+    });
+  }
+
+  const entry = dryRun
+    ? undefined
+    : journal?.create({
+        source: sourceNetwork.name,
+        destination: destinationNetwork.name,
+        burnTx,
+        status: STATUS.attested,
+        attestation,
+        // With a recipient, resume checks the message against the hook data and caller it carries
+        ...(recipientAddress ? { recipient: recipientAddress } : {}),
+        ...(decoded.burnMessage.hookData !== "0x" ? { hookData: decoded.burnMessage.hookData } : {}),
+        ...(BigInt(decoded.destinationCaller) !== 0n ? { destinationCaller: decoded.destinationCaller } : {}),
+      });
+  const record = journalRecorder(dryRun ? undefined : journal, entry?.id);
+  try {
+    return await finishTransfer({
+      sourceNetwork,
+      destinationNetwork,
+      destinationSigner,
+      burnTx,
+      attestation,
+      recipient: recipientAddress,
+      expected: expectedMessage(sourceNetwork, destinationNetwork),
+      record,
+      dryRun,
+      env,
+      onProgress,
+    });
+  } catch (err) {
+    record({ error: err.message });
+    throw err;
+  }
+}
+
+/**
+ * Pick up every unfinished transfer in `journal` where it stopped, without burning again.
+ * Transfers that died before their burn tx was recorded can't be resumed safely and are
+ * reported as skipped. With `dryRun` each mint is simulated from the saved attestation instead.
+ *
+ * @param {import("./index.js").ResumeOptions} options
+ * @returns {Promise<import("./index.js").ResumeResult[]>}
+ */
+export async function resume({
+  journal,
+  signers = {},
+  passphrase,
+  env = process.env,
+  iris,
+  dryRun = false,
+  onProgress = () => {},
+}) {
+  const results = [];
+  const loaded = { ...signers }; // each kind is loaded (and its keystore unlocked) once
+  for (const entry of journal.unfinished()) {
+    if (!entry.burnTx) {
+      onProgress({
+        type: "log",
+        message: `Transfer ${entry.id} stopped before its burn tx was recorded; check ${entry.sender} on ${entry.source} manually.`,
+      });
+      results.push({ id: entry.id, status: "skipped" });
+      continue;
+    }
+
+    onProgress({ type: "resuming", id: entry.id, status: entry.status, burnTx: entry.burnTx });
+    // A dry run reads the journal (and its saved attestations) but never writes to it
+    const record = journalRecorder(dryRun ? undefined : journal, entry.id);
+    try {
+      const sourceNetwork = getNetwork(entry.source, env);
+      const destinationNetwork = getNetwork(entry.destination, env);
+      const irisClient = irisFor(iris, env, sourceNetwork);
+      const burnTx = await sentBurnTx(irisClient, sourceNetwork, entry);
+      if (burnTx !== entry.burnTx) record({ burnTx });
+      const result = await finishTransfer({
+        sourceNetwork,
+        destinationNetwork,
+        destinationSigner: (loaded[destinationNetwork.kind] ??= await loadSigner(destinationNetwork, env, { passphrase })),
+        burnTx,
+        attestation: entry.attestation,
+        recipient: entry.recipient,
+        expected: expectedMessage(
+          sourceNetwork,
+          destinationNetwork,
+          entry.recipient,
+          entry.amount,
+          // Entries from `complete` that couldn't name the recipient only know what the message said
+          entry.hookData ?? (entry.recipient ? "0x" : undefined),
+          entry.destinationCaller ?? (entry.recipient ? ZERO_BYTES32 : undefined),
+        ),
+        iris: irisClient,
+        record,
+        dryRun,
+        env,
+        onProgress,
+      });
+      results.push({ id: entry.id, status: result.dryRun ? "simulated" : STATUS.minted, ...result });
+    } catch (err) {
+      record({ error: err.message });
+      results.push({ id: entry.id, status: "failed", error: err });
+    }
+  }
+  return results;
+}
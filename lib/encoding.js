@@ -0,0 +1,62 @@
+// Byte/felt helpers shared by every route
+import { Buffer } from "node:buffer";
+
+export const ZERO_BYTES32 =
+  "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+// Left-pad a hex value (EVM address, Starknet felt, raw pubkey hex) to 32 bytes. Only checks the
+// shape; addresses should go through address.js, which knows each chain's format
+export const toBytes32 = (hex) => {
+  const clean = hex.startsWith("0x") ? hex.slice(2) : hex;
+  if (!/^[0-9a-fA-F]{0,64}$/.test(clean)) throw new Error(`${JSON.stringify(hex)} is not hex of at most 32 bytes`);
+  return `0x${clean.padStart(64, "0")}`;
+};
+
+// Decode Circle envelopes (hex by default, base64 fallback)
+export const decodeEnvelope = (str) => {
+  const isHex = str.startsWith("0x") || /^[0-9a-fA-F]+$/.test(str);
+  return isHex ? Buffer.from(str.replace(/^0x/, ""), "hex") : Buffer.from(str, "base64");
+};
+
+// Hook data from the CLI/API: 0x-prefixed hex is taken as bytes, anything else as UTF-8 text. A
+// 0x value that isn't whole bytes of hex is refused rather than sent as text, since it's almost
+// certainly a typo in the hex.
+export const parseHookData = (value) => {
+  if (value === undefined || value === "") return "0x";
+  if (typeof value !== "string") return `0x${Buffer.from(value).toString("hex")}`;
+  if (!value.startsWith("0x")) return `0x${Buffer.from(value, "utf8").toString("hex")}`;
+  if (!/^0x([0-9a-fA-F]{2})*$/.test(value)) {
+    const err = new Error(`Hook data "${value}" starts with 0x but is not an even number of hex digits`);
+    err.code = "INVALID_HOOK_DATA";
+    throw err;
+  }
+  return value.toLowerCase();
+};
+
+// Render hook data as text when it is printable UTF-8 (e.g. a payment reference), else undefined
+export const hookDataText = (hex) => {
+  const bytes = Buffer.from(hex.replace(/^0x/, ""), "hex");
+  const text = bytes.toString("utf8");
+  return bytes.length && /^[\x20-\x7e\u00a0-\uffff]*$/.test(text) && !text.includes("\ufffd") ? text : undefined;
+};
+
+export const readBytes32Hex = (bytes, offset) =>
+  `0x${Buffer.from(bytes.slice(offset, offset + 32)).toString("hex")}`;
+
+// Turn a <=31-byte chunk into a felt
+export const bytesToFelt = (chunk) => {
+  if (chunk.length > 31) throw new Error("Chunk too large for bytes31");
+  const hex = Buffer.from(chunk).toString("hex");
+  return BigInt(`0x${hex || "0"}`);
+};
+
+// Encode ByteArray as calldata layout expected by Cairo (len, data[], pending_word, pending_len)
+export const bytesToByteArrayCalldata = (bytes) => {
+  const fullChunks = Math.floor(bytes.length / 31);
+  const dataFelts = [];
+  for (let i = 0; i < fullChunks; i += 1) {
+    dataFelts.push(bytesToFelt(bytes.slice(i * 31, (i + 1) * 31)));
+  }
+  const pending = bytes.slice(fullChunks * 31);
+  return [BigInt(dataFelts.length), ...dataFelts, bytesToFelt(pending), BigInt(pending.length)];
+};
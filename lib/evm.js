@@ -0,0 +1,366 @@
+// EVM side of CCTPv2: approve + depositForBurn on the source, receiveMessage on the destination
+import {
+  createPublicClient,
+  http,
+  parseAbiItem,
+  formatUnits,
+} from "viem";
+import { addressToBytes32, bytes32ToAddress } from "./address.js";
+import { formatUsdcAmount } from "./amount.js";
+import { sendManagedTransaction } from "./txmanager.js";
+
+// How far back to search for the MessageReceived log of an already-used nonce
+const REDEEM_LOG_LOOKBACK_BLOCKS = 10_000n;
+
+// Blocks per getLogs request when watching for burns; public RPCs cap the range
+const BURN_LOG_RANGE = 2_000n;
+// How far back a backfill (e.g. the history indexer's first run) starts
+const BURN_BACKFILL_BLOCKS = 50_000n;
+
+const BLANKET_ALLOWANCE = 10_000_000_000n; // 10,000 USDC, what the original scripts approved every run
+
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+const publicClient = (network) =>
+  createPublicClient({
+    chain: network.chain,
+    transport: http(network.rpc),
+  });
+
+// Every write goes through the tx manager: local nonce, receipt, revert reason, fee bumps
+const send = async (network, account, call, what, onProgress, onSent) =>
+  (await sendManagedTransaction(network, account, call, { what, onProgress, onSent })).transactionHash;
+
+// Allowance left for the TokenMessenger to spend `owner`'s USDC
+export async function readAllowance(network, owner) {
+  return publicClient(network).readContract({
+    address: network.usdc,
+    abi: [parseAbiItem("function allowance(address owner, address spender) view returns (uint256)")],
+    functionName: "allowance",
+    args: [owner, network.tokenMessenger],
+  });
+}
+
+// Approve with the original script's blanket cap unless `exact`; skipped when the allowance already covers `amount`
+export async function approveUSDC(network, account, { amount, exact = false, onProgress = () => {} } = {}) {
+  if (amount !== undefined) {
+    const allowance = await readAllowance(network, account.address);
+    if (allowance >= amount) {
+      onProgress({ type: "log", message: `Existing USDC allowance ${allowance} covers ${amount}, skipping approve` });
+      return undefined;
+    }
+  }
+  const value = exact && amount !== undefined ? amount : maxBigInt(BLANKET_ALLOWANCE, amount ?? 0n);
+
+  // Allow the TokenMessenger to spend USDC
+  onProgress({ type: "log", message: `Approving ${value} USDC base units on ${network.label}...` });
+  // Resolves once mined, so the burn can't go out before the allowance exists
+  const approveTx = await send(
+    network,
+    account,
+    {
+      address: network.usdc,
+      abi: [
+        {
+          type: "function",
+          name: "approve",
+          stateMutability: "nonpayable",
+          inputs: [
+            { name: "spender", type: "address" },
+            { name: "amount", type: "uint256" },
+          ],
+          outputs: [{ name: "", type: "bool" }],
+        },
+      ],
+      functionName: "approve",
+      args: [network.tokenMessenger, value],
+    },
+    "USDC approve",
+    onProgress,
+  );
+  onProgress({ type: "approved", chain: network.name, txHash: approveTx });
+  return approveTx;
+}
+
+const DEPOSIT_FOR_BURN_INPUTS = [
+  { name: "amount", type: "uint256" },
+  { name: "destinationDomain", type: "uint32" },
+  { name: "mintRecipient", type: "bytes32" },
+  { name: "burnToken", type: "address" },
+  { name: "destinationCaller", type: "bytes32" },
+  { name: "maxFee", type: "uint256" },
+  { name: "minFinalityThreshold", type: "uint32" },
+];
+
+const hasHookData = (hookData) => Boolean(hookData) && hookData !== "0x";
+
+// depositForBurn (or depositForBurnWithHook when there is hook data) as a viem contract request,
+// shared by the live burn and the dry run
+function depositForBurnCall(network, params) {
+  const withHook = hasHookData(params.hookData);
+  const functionName = withHook ? "depositForBurnWithHook" : "depositForBurn";
+  return {
+    address: network.tokenMessenger,
+    abi: [
+      {
+        type: "function",
+        name: functionName,
+        stateMutability: "nonpayable",
+        inputs: withHook ? [...DEPOSIT_FOR_BURN_INPUTS, { name: "hookData", type: "bytes" }] : DEPOSIT_FOR_BURN_INPUTS,
+        outputs: [],
+      },
+    ],
+    functionName,
+    args: [
+      params.amount,
+      params.destinationDomain,
+      params.mintRecipient,
+      network.usdc,
+      params.destinationCaller,
+      params.maxFee,
+      params.minFinalityThreshold,
+      ...(withHook ? [params.hookData] : []),
+    ],
+  };
+}
+
+const receiveMessageCall = (network, attestation) => ({
+  address: network.messageTransmitter,
+  abi: [
+    {
+      type: "function",
+      name: "receiveMessage",
+      stateMutability: "nonpayable",
+      inputs: [
+        { name: "message", type: "bytes" },
+        { name: "attestation", type: "bytes" },
+      ],
+      outputs: [],
+    },
+  ],
+  functionName: "receiveMessage",
+  args: [attestation.message, attestation.attestation],
+});
+
+// `onSent` sees each burn tx hash (the original, then any fee bumps) as soon as it is broadcast
+export async function burnUSDC(network, account, { onProgress = () => {}, onSent, ...params }) {
+  // Burn USDC and emit the cross-chain message
+  const call = depositForBurnCall(network, params);
+  onProgress({ type: "log", message: `Burning USDC on ${network.label} (${call.functionName})...` });
+  const burnTx = await send(network, account, call, call.functionName, onProgress, onSent);
+  onProgress({ type: "burned", chain: network.name, txHash: burnTx });
+  return burnTx;
+}
+
+// approval: "blanket" (default, 10,000 USDC) or "exact" (just this amount). There is no permit
+// mode: TokenMessengerV2 can't take an EIP-2612 permit with the burn, so it would still cost a
+// transaction of its own
+export async function burn({ network, signer, approval = "blanket", ...params }) {
+  const { amount, onProgress } = params;
+  if (approval !== "blanket" && approval !== "exact") {
+    throw new Error(`Unknown approval mode "${approval}" (expected blanket or exact)`);
+  }
+  await approveUSDC(network, signer, { amount, exact: approval === "exact", onProgress });
+  return burnUSDC(network, signer, params);
+}
+
+export async function mintUSDC({ network, signer, attestation, onProgress = () => {} }) {
+  onProgress({ type: "log", message: `Minting USDC on ${network.label} (receiveMessage)...` });
+  const mintTx = await send(network, signer, receiveMessageCall(network, attestation), "receiveMessage", onProgress);
+  onProgress({ type: "minted", chain: network.name, txHash: mintTx });
+  return mintTx;
+}
+
+// Dry run of one contract call: eth_call it from the signer and price its gas; never broadcasts
+async function simulateCall(network, account, call, step) {
+  const client = publicClient(network);
+  const calldata = { contract: call.address, function: call.functionName, args: call.args };
+  try {
+    await client.simulateContract({ ...call, account });
+    const [gas, gasPrice] = await Promise.all([client.estimateContractGas({ ...call, account }), client.getGasPrice()]);
+    const { symbol, decimals } = network.chain.nativeCurrency;
+    return {
+      chain: network.name,
+      step,
+      ok: true,
+      calldata,
+      estimatedFee: `${formatUnits(gas * gasPrice, decimals)} ${symbol} (${gas} gas)`,
+    };
+  } catch (err) {
+    return { chain: network.name, step, ok: false, calldata, error: err.shortMessage ?? err.message };
+  }
+}
+
+// depositForBurn can only be simulated once the allowance exists; until then report the approve instead
+export async function simulateBurn({ network, signer, ...params }) {
+  const allowance = await readAllowance(network, signer.address);
+  if (allowance < params.amount) {
+    const approve = await simulateCall(
+      network,
+      signer,
+      {
+        address: network.usdc,
+        abi: [parseAbiItem("function approve(address spender, uint256 amount) returns (bool)")],
+        functionName: "approve",
+        args: [network.tokenMessenger, params.amount],
+      },
+      "approve",
+    );
+    return {
+      ...approve,
+      note: `Allowance ${allowance} is below ${params.amount}; depositForBurn can't be simulated until the approval is mined`,
+    };
+  }
+  return simulateCall(network, signer, depositForBurnCall(network, params), "burn");
+}
+
+export const simulateMint = ({ network, signer, attestation }) =>
+  simulateCall(network, signer, receiveMessageCall(network, attestation), "mint");
+
+// usedNonces(nonce) is non-zero once a message has been received; find the redeeming tx if the log is recent
+export async function checkNonceUsed(network, decoded) {
+  const client = publicClient(network);
+  const used = await client.readContract({
+    address: network.messageTransmitter,
+    abi: [parseAbiItem("function usedNonces(bytes32 nonce) view returns (uint256)")],
+    functionName: "usedNonces",
+    args: [decoded.nonce],
+  });
+  if (used === 0n) return { used: false };
+
+  try {
+    const latest = await client.getBlockNumber();
+    const logs = await client.getLogs({
+      address: network.messageTransmitter,
+      event: parseAbiItem(
+        "event MessageReceived(address indexed caller, uint32 sourceDomain, bytes32 indexed nonce, bytes32 sender, uint32 indexed finalityThresholdExecuted, bytes messageBody)",
+      ),
+      args: { nonce: decoded.nonce },
+      fromBlock: latest > REDEEM_LOG_LOOKBACK_BLOCKS ? latest - REDEEM_LOG_LOOKBACK_BLOCKS : 0n,
+      toBlock: latest,
+    });
+    return { used: true, redeemTx: logs[0]?.transactionHash };
+  } catch {
+    // Log search is best-effort; many RPCs cap getLogs ranges
+    return { used: true };
+  }
+}
+
+const DEPOSIT_FOR_BURN_EVENT = parseAbiItem(
+  "event DepositForBurn(address indexed burnToken, uint256 amount, address indexed depositor, bytes32 mintRecipient, uint32 destinationDomain, bytes32 destinationTokenMessenger, bytes32 destinationCaller, uint256 maxFee, uint32 indexed minFinalityThreshold, bytes hookData)",
+);
+
+/**
+ * Watch TokenMessengerV2 for burns: DepositForBurn logs from block `cursor` on, at most
+ * BURN_LOG_RANGE blocks per call, optionally only those by `depositor`. Without a cursor,
+ * watching starts at the current head, or BURN_BACKFILL_BLOCKS before it with `backfill`.
+ * Resolves to the burns found, the cursor to pass next time and whether the head was reached.
+ */
+export async function findBurns(network, cursor, { depositor, backfill = false } = {}) {
+  const client = publicClient(network);
+  const head = await client.getBlockNumber();
+  if (cursor === undefined && !backfill) return { burns: [], cursor: (head + 1n).toString(), caughtUp: true };
+  const backfillFrom = head > BURN_BACKFILL_BLOCKS ? head - BURN_BACKFILL_BLOCKS : 0n;
+  const fromBlock = cursor === undefined ? backfillFrom : BigInt(cursor);
+  if (fromBlock > head) return { burns: [], cursor: cursor ?? fromBlock.toString(), caughtUp: true };
+
+  const toBlock = fromBlock + BURN_LOG_RANGE - 1n < head ? fromBlock + BURN_LOG_RANGE - 1n : head;
+  const logs = await client.getLogs({
+    address: network.tokenMessenger,
+    event: DEPOSIT_FOR_BURN_EVENT,
+    ...(depositor ? { args: { depositor } } : {}),
+    fromBlock,
+    toBlock,
+  });
+  const timestamps = new Map();
+  for (const { blockNumber } of logs) {
+    if (!timestamps.has(blockNumber)) {
+      timestamps.set(blockNumber, Number((await client.getBlock({ blockNumber })).timestamp));
+    }
+  }
+  return {
+    burns: logs.map(({ transactionHash, blockNumber, args }) => ({
+      txHash: transactionHash,
+      depositor: args.depositor,
+      timestamp: timestamps.get(blockNumber),
+      destinationDomain: Number(args.destinationDomain),
+      mintRecipient: args.mintRecipient.toLowerCase(),
+      destinationCaller: args.destinationCaller.toLowerCase(),
+      amount: args.amount,
+      maxFee: args.maxFee,
+      minFinalityThreshold: Number(args.minFinalityThreshold),
+    })),
+    cursor: (toBlock + 1n).toString(),
+    caughtUp: toBlock === head,
+  };
+}
+
+// Gas units assumed for the steps pre-flight can't estimate yet: depositForBurn reverts until the
+// approval is mined and receiveMessage needs an attestation. Set on the generous side of what
+// the V2 contracts use, so a balance too thin for the transfer fails here rather than mid-way
+export const PREFLIGHT_GAS = {
+  approve: 80_000n,
+  burn: 250_000n,
+  mint: 300_000n,
+};
+
+// Gas units the signer's side of `transfers` transfers needs: the approve (estimated, when the
+// allowance is short) and each burn, or each mint
+async function preflightGas(client, network, signer, { role, amount, transfers }) {
+  const count = BigInt(transfers);
+  if (role !== "burn") return PREFLIGHT_GAS.mint * count;
+  const allowance = await readAllowance(network, signer.address);
+  let approveGas = 0n;
+  if (allowance < amount) {
+    approveGas = await client
+      .estimateContractGas({
+        account: signer.address,
+        address: network.usdc,
+        abi: [parseAbiItem("function approve(address spender, uint256 amount) returns (bool)")],
+        functionName: "approve",
+        args: [network.tokenMessenger, maxBigInt(BLANKET_ALLOWANCE, amount)],
+      })
+      .catch(() => PREFLIGHT_GAS.approve);
+  }
+  return approveGas + PREFLIGHT_GAS.burn * count;
+}
+
+// Pre-flight: native gas for this side's transactions at the current max fee per gas, plus the
+// USDC to burn when this is the source
+export async function preflight(network, signer, { role, amount, transfers = 1 }) {
+  const client = publicClient(network);
+  const { symbol, decimals } = network.chain.nativeCurrency;
+  const [native, gas, { maxFeePerGas }] = await Promise.all([
+    client.getBalance({ address: signer.address }),
+    preflightGas(client, network, signer, { role, amount, transfers }),
+    client.estimateFeesPerGas(),
+  ]);
+  const needed = gas * maxFeePerGas;
+  const checks = [
+    {
+      name: `${symbol} for gas`,
+      ok: native >= needed,
+      detail: `${formatUnits(native, decimals)} ${symbol} at ${signer.address}, need ${formatUnits(needed, decimals)} ${symbol} (${gas} gas at ${formatUnits(maxFeePerGas, 9)} gwei)`,
+    },
+  ];
+  if (role === "burn") {
+    const usdc = await client.readContract({
+      address: network.usdc,
+      abi: [parseAbiItem("function balanceOf(address account) view returns (uint256)")],
+      functionName: "balanceOf",
+      args: [signer.address],
+    });
+    checks.push({
+      name: "USDC balance",
+      ok: usdc >= amount,
+      detail: `${formatUsdcAmount(usdc)} USDC, need ${formatUsdcAmount(amount)}`,
+    });
+  }
+  return checks;
+}
+
+export { mintUSDC as mint };
+
+export const toMintRecipient = (network, address) => addressToBytes32("evm", address);
+// The message names the recipient itself, so the mint recipient reads straight back
+export const fromMintRecipient = (network, bytes32) => bytes32ToAddress("evm", bytes32);
@@ -0,0 +1,91 @@
+// Transfer fee quoting: maxFee from the Iris burn fee quote, a user cap and a fallback to standard finality
+export const FINALITY = {
+  fast: 1000,
+  standard: 2000,
+};
+
+// The quote can move between the lookup and the attestation, so leave some room above it
+export const FEE_HEADROOM_PERCENT = 10n;
+
+const BPS_SCALE = 1_000_000n; // quotes may carry fractional basis points
+
+// Fee in base units for `amount` at `bps` basis points, rounded up
+export function feeForAmount(amount, bps) {
+  const scaledBps = BigInt(Math.round(Number(bps) * Number(BPS_SCALE)));
+  const denominator = 10_000n * BPS_SCALE;
+  return (BigInt(amount) * scaledBps + denominator - 1n) / denominator;
+}
+
+const withHeadroom = (fee) => fee + (fee * FEE_HEADROOM_PERCENT + 99n) / 100n;
+const minBigInt = (a, b) => (a < b ? a : b);
+
+/**
+ * Pick `maxFee` (and possibly a new finality threshold) for a transfer. The fee comes from
+ * the Iris quote for the domain pair, plus headroom, never above `maxFeeCap`. A fast transfer
+ * whose fee is over the cap, or that has no quote and no cap to use instead, throws
+ * FAST_FEE_UNAVAILABLE rather than quietly waiting for standard finality; with
+ * `fallbackToStandard` it drops to a standard transfer instead and says so in `fellBack`.
+ *
+ * @returns {Promise<{ minFinalityThreshold: number, maxFee: bigint, feeBps?: number, fellBack: boolean }>}
+ */
+export async function quoteTransferFee({
+  iris,
+  sourceDomain,
+  destinationDomain,
+  amount,
+  minFinalityThreshold = FINALITY.fast,
+  maxFeeCap,
+  fallbackToStandard = false,
+  onProgress = () => {},
+}) {
+  let quotes;
+  let quoteError;
+  try {
+    quotes = await iris.getBurnFees(sourceDomain, destinationDomain);
+  } catch (err) {
+    quoteError = err;
+    onProgress({ type: "log", message: `Could not fetch the Iris fee quote: ${err.message}` });
+  }
+  const quoteFor = (threshold) => {
+    const entry = quotes?.find((quote) => Number(quote.finalityThreshold) === threshold);
+    return entry && { feeBps: Number(entry.minimumFee), fee: feeForAmount(amount, entry.minimumFee) };
+  };
+  const cap = maxFeeCap === undefined ? undefined : BigInt(maxFeeCap);
+
+  const standard = (reason) => {
+    const quote = quoteFor(FINALITY.standard);
+    const fee = quote?.fee ?? 0n;
+    if (cap !== undefined && fee > cap) {
+      throw new Error(`Standard transfer fee ${fee} exceeds the ${cap} cap`);
+    }
+    if (reason) onProgress({ type: "log", message: `${reason}; falling back to a standard transfer` });
+    return {
+      minFinalityThreshold: FINALITY.standard,
+      maxFee: cap === undefined ? withHeadroom(fee) : minBigInt(withHeadroom(fee), cap),
+      feeBps: quote?.feeBps,
+      fellBack: Boolean(reason),
+    };
+  };
+  const giveUp = (reason) => {
+    if (fallbackToStandard) return standard(reason);
+    const err = new Error(`${reason}; not sending a fast transfer. Raise the cap, or allow a standard transfer`);
+    err.code = "FAST_FEE_UNAVAILABLE";
+    throw err;
+  };
+
+  if (minFinalityThreshold >= FINALITY.standard) return standard();
+
+  const quote = quoteFor(minFinalityThreshold);
+  if (!quote) {
+    if (cap !== undefined) {
+      onProgress({ type: "log", message: `No fast fee quote; using the ${cap} cap as maxFee` });
+      return { minFinalityThreshold, maxFee: cap, fellBack: false };
+    }
+    return giveUp(quoteError ? `No fast fee quote from Iris (${quoteError.message})` : "No fast fee quote from Iris");
+  }
+  if (cap !== undefined && quote.fee > cap) {
+    return giveUp(`Fast fee ${quote.fee} (${quote.feeBps} bps) exceeds the ${cap} cap`);
+  }
+  const maxFee = cap === undefined ? withHeadroom(quote.fee) : minBigInt(withHeadroom(quote.fee), cap);
+  return { minFinalityThreshold, maxFee, feeBps: quote.feeBps, fellBack: false };
+}
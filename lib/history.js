@@ -0,0 +1,275 @@
+// Transfer history: burns made by our own addresses, joined with their Iris status and destination nonce usage
+import fs from "node:fs";
+import { ROUTES, toNetwork, irisFor, nonceUsage } from "./bridge.js";
+import { getNetworkByDomain, resolveNetwork, listNetworks } from "./networks.js";
+import { loadSigner, signerAddress } from "./signers.js";
+import { findBurnMessage, isAttested, withOrdinals, irisBaseUrl } from "./iris.js";
+import { decodeMessage } from "./message.js";
+import { STATUS, writeJsonFile } from "./journal.js";
+
+export const DEFAULT_HISTORY_PATH = ".cctp/history.json";
+
+// "burned": Iris hasn't seen it yet; "pending": Iris is waiting on finality
+export const HISTORY_STATUS = {
+  burned: "burned",
+  pending: "pending",
+  attested: "attested",
+  minted: "minted",
+};
+
+// Indexed transfers plus the scan cursor of each source + address, in one JSON file
+export function openHistory(file = DEFAULT_HISTORY_PATH) {
+  const read = () =>
+    fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { cursors: {}, transfers: [] };
+  const write = (data) => writeJsonFile(file, data);
+
+  const list = () => read().transfers;
+
+  return {
+    file,
+    list,
+    get: (id) => list().find((transfer) => transfer.id === id),
+    cursor: (key) => read().cursors[key],
+    setCursor(key, cursor) {
+      const data = read();
+      data.cursors[key] = cursor;
+      write(data);
+    },
+    // Idempotent: a burn indexed twice is stored once
+    add(fields) {
+      const data = read();
+      if (data.transfers.some((transfer) => transfer.id === fields.id)) return undefined;
+      data.transfers.push(fields);
+      write(data);
+      return fields;
+    },
+    update(id, patch) {
+      const data = read();
+      const transfer = data.transfers.find((candidate) => candidate.id === id);
+      if (!transfer) throw new Error(`Transfer ${id} not found in history ${file}`);
+      Object.assign(transfer, patch);
+      write(data);
+      return transfer;
+    },
+  };
+}
+
+// Looked up on the same side (testnet or mainnet) as the source
+const destinationName = (domain, env, mainnet) => {
+  try {
+    return getNetworkByDomain(domain, env, { mainnet }).name;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Bring one transfer up to date: its message on Iris (status, fee executed, nonce) and, once
+ * attested, whether the destination has used the nonce. Timings other than `burnedAt` are only
+ * recorded when a change is seen between two looks (`observed`), or from a minted journal entry.
+ */
+async function refreshTransfer(transfer, { iris, env, journal, observed, messages, onProgress }) {
+  const now = new Date().toISOString();
+  let found = messages;
+  if (!found) {
+    const lookup = await iris.getMessages(transfer.sourceDomain, transfer.txHash);
+    if (lookup.error) onProgress({ type: "log", message: `Iris lookup for ${transfer.txHash} failed: ${lookup.error.message}` });
+    found = lookup.status === "ok" ? lookup.messages : [];
+  }
+  const message = findBurnMessage(found, transfer);
+  if (!message) return { ...transfer, status: HISTORY_STATUS.burned, checkedAt: now };
+
+  const decoded = decodeMessage(message.message);
+  const patch = {
+    irisStatus: message.status,
+    feeExecuted: decoded.burnMessage.feeExecuted.toString(),
+    finalityThresholdExecuted: decoded.finalityThresholdExecuted,
+    checkedAt: now,
+  };
+  if (!isAttested(message)) return { ...transfer, ...patch, status: HISTORY_STATUS.pending };
+
+  Object.assign(patch, { status: HISTORY_STATUS.attested, nonce: decoded.nonce });
+  // Attested and minted between the same two looks: when it was attested is unknown
+  const attestedAt = () => transfer.attestedAt ?? (observed && patch.status === HISTORY_STATUS.attested ? now : undefined);
+  const mainnet = Boolean(listNetworks(env)[transfer.source]?.mainnet);
+  const destination = destinationName(decoded.destinationDomain, env, mainnet);
+  if (!destination) return { ...transfer, ...patch, attestedAt: attestedAt() };
+
+  const usage = await nonceUsage(toNetwork(destination, env), decoded, onProgress);
+  if (usage.used) {
+    const entry = journal?.list().find(({ burnTx, status }) => burnTx === transfer.txHash && status === STATUS.minted);
+    Object.assign(patch, {
+      status: HISTORY_STATUS.minted,
+      mintTx: usage.redeemTx ?? entry?.mintTx,
+      mintedAt: entry?.updatedAt ?? (observed ? now : undefined),
+    });
+  }
+  return { ...transfer, ...patch, attestedAt: attestedAt() };
+}
+
+// A stored transfer for one burn seen on chain
+const transferFromBurn = (network, burn, env) => ({
+  id: `${network.name}:${burn.txHash}:${burn.ordinal}`,
+  source: network.name,
+  sourceDomain: network.domain,
+  txHash: burn.txHash,
+  ordinal: burn.ordinal,
+  depositor: burn.depositor,
+  burnedAt: burn.timestamp === undefined ? undefined : new Date(burn.timestamp * 1000).toISOString(),
+  destination: destinationName(burn.destinationDomain, env, Boolean(network.mainnet)),
+  destinationDomain: burn.destinationDomain,
+  mintRecipient: burn.mintRecipient,
+  amount: burn.amount.toString(),
+  maxFee: burn.maxFee?.toString(),
+  minFinalityThreshold: burn.minFinalityThreshold,
+  status: HISTORY_STATUS.burned,
+});
+
+/**
+ * Index burns by our own addresses on each source (the source signer's address unless
+ * `addresses` names one per chain kind), starting with a backfill on the first run, then
+ * refresh every transfer not yet minted. Resolves to the whole history.
+ *
+ * @param {import("./index.js").HistoryOptions} options
+ * @returns {Promise<import("./index.js").HistoryTransfer[]>}
+ */
+export async function indexHistory({
+  sources = ["base-sepolia", "solana-devnet"],
+  store = openHistory(),
+  addresses = {},
+  signers = {},
+  passphrase,
+  env = process.env,
+  iris,
+  journal,
+  onProgress = () => {},
+} = {}) {
+  // One client per Iris host: testnet and mainnet sources are attested by different ones
+  const irisClients = new Map();
+  const irisOf = (source) => {
+    const network = listNetworks(env)[source];
+    const host = irisBaseUrl(env, network);
+    if (!irisClients.has(host)) irisClients.set(host, irisFor(iris, env, network));
+    return irisClients.get(host);
+  };
+  const loaded = { ...signers }; // each kind is loaded (and its keystore unlocked) once
+  const addressFor = async (network) => {
+    if (addresses[network.kind]) return addresses[network.kind];
+    try {
+      return signerAddress(network, (loaded[network.kind] ??= await loadSigner(network, env, { passphrase })));
+    } catch (err) {
+      onProgress({ type: "log", message: `Skipping ${network.label}: ${err.message}` });
+      return undefined;
+    }
+  };
+
+  const fresh = new Set(); // found this run: no earlier look to time changes against
+  for (const network of sources.map((source) => toNetwork(source, env))) {
+    const { findBurns } = ROUTES[network.kind];
+    const address = findBurns && (await addressFor(network));
+    if (!address) continue;
+    const key = `${network.name}:${address}`;
+    const before = fresh.size;
+    try {
+      for (let caughtUp = false; !caughtUp; ) {
+        const scan = await findBurns(network, store.cursor(key), { depositor: address, backfill: true, env, onProgress });
+        for (const burn of withOrdinals(scan.burns)) {
+          const transfer = store.add(transferFromBurn(network, burn, env));
+          if (transfer) fresh.add(transfer.id);
+        }
+        if (scan.cursor !== undefined) store.setCursor(key, scan.cursor);
+        caughtUp = scan.caughtUp;
+      }
+    } catch (err) {
+      onProgress({ type: "log", message: `Indexing ${network.label} failed: ${err.message}` });
+    }
+    onProgress({ type: "log", message: `${network.label}: ${fresh.size - before} new burn(s) by ${address}` });
+  }
+
+  for (const transfer of store.list().filter(({ status }) => status !== HISTORY_STATUS.minted)) {
+    try {
+      const refreshed = await refreshTransfer(transfer, {
+        iris: irisOf(transfer.source),
+        env,
+        journal,
+        observed: !fresh.has(transfer.id),
+        onProgress,
+      });
+      store.update(transfer.id, refreshed);
+    } catch (err) {
+      onProgress({ type: "log", message: `Refreshing ${transfer.id} failed: ${err.message}` });
+    }
+  }
+  return store.list();
+}
+
+/**
+ * Status of the transfer(s) in one burn transaction. Indexed transfers are refreshed in the
+ * store; anything else is looked up on Iris directly, which needs the `source` network.
+ *
+ * @param {import("./index.js").TransferStatusOptions} options
+ * @returns {Promise<import("./index.js").HistoryTransfer[]>}
+ */
+export async function transferStatus({
+  txHash,
+  source,
+  store = openHistory(),
+  env = process.env,
+  iris,
+  journal,
+  onProgress = () => {},
+}) {
+  const context = { env, journal, observed: true, onProgress };
+  const indexed = store.list().filter((transfer) => transfer.txHash === txHash);
+  if (indexed.length) {
+    const results = [];
+    for (const transfer of indexed) {
+      if (transfer.status === HISTORY_STATUS.minted) {
+        results.push(transfer);
+        continue;
+      }
+      const refreshed = await refreshTransfer(transfer, {
+        ...context,
+        iris: irisFor(iris, env, listNetworks(env)[transfer.source]),
+      });
+      results.push(store.update(transfer.id, refreshed));
+    }
+    return results;
+  }
+
+  if (source === undefined) {
+    throw new Error(`${txHash} is not in the history ${store.file}; pass its source network to look it up on Iris`);
+  }
+  const sourceNetwork = typeof source === "object" ? source : resolveNetwork(source, env);
+  const irisClient = irisFor(iris, env, sourceNetwork);
+  const lookup = await irisClient.getMessages(sourceNetwork.domain, txHash);
+  if (lookup.error) throw new Error(`Iris lookup for ${txHash} failed: ${lookup.error.message}`);
+  const burns = lookup.messages.flatMap((message) => {
+    try {
+      const decoded = decodeMessage(message.message);
+      return [
+        {
+          txHash,
+          destinationDomain: decoded.destinationDomain,
+          mintRecipient: decoded.burnMessage.mintRecipient,
+          amount: decoded.burnMessage.amount,
+          maxFee: decoded.burnMessage.maxFee,
+          minFinalityThreshold: decoded.minFinalityThreshold,
+        },
+      ];
+    } catch {
+      return [];
+    }
+  });
+  if (!burns.length) return [{ source: sourceNetwork.name, sourceDomain: sourceNetwork.domain, txHash, status: HISTORY_STATUS.burned }];
+
+  const results = [];
+  for (const burn of withOrdinals(burns)) {
+    const transfer = transferFromBurn(sourceNetwork, burn, env);
+    // Never looked at before, so there are no observed timings to record
+    results.push(
+      await refreshTransfer(transfer, { ...context, iris: irisClient, observed: false, messages: lookup.messages }),
+    );
+  }
+  return results;
+}
@@ -0,0 +1,1098 @@
+import type { Chain, LocalAccount, Hex } from "viem";
+import type {
+  Keypair,
+  PublicKey,
+  Connection,
+  Transaction,
+  TransactionInstruction,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import type { AnchorProvider, Idl } from "@coral-xyz/anchor";
+import type { Account as StarknetAccount } from "starknet";
+
+export type ChainKind = "evm" | "solana" | "starknet";
+
+export interface Network {
+  name: string;
+  kind: ChainKind;
+  label: string;
+  domain: number;
+  rpcEnv: string;
+  rpc?: string;
+  defaultRpc?: string;
+  usdc: string;
+  /** EVM / Starknet TokenMessengerV2 */
+  tokenMessenger?: string;
+  /** Solana TokenMessengerMinterV2 program id */
+  tokenMessengerMinter?: string;
+  messageTransmitter: string;
+  /** viem chain, EVM networks only */
+  chain?: Chain;
+  tokenMessengerMinterIdlUrl?: string;
+  messageTransmitterIdlUrl?: string;
+  /** Starknet MessageTransmitterV2 view used to check nonce usage */
+  usedNoncesEntrypoint?: string;
+  /** Iris host attesting this network's burns */
+  iris?: string;
+  /** Moves real funds; resolvable only with CCTP_MAINNET=true */
+  mainnet?: boolean;
+}
+
+/** A networks file entry: a partial override of a built-in profile, or a whole new network */
+export interface NetworkProfileEntry extends Partial<Omit<Network, "name" | "rpc" | "chain">> {
+  /** EVM entries only: builds the viem chain */
+  chainId?: number;
+  nativeCurrency?: { name: string; symbol: string; decimals: number };
+}
+
+export type NetworkName =
+  | "base-sepolia"
+  | "ethereum-sepolia"
+  | "arbitrum-sepolia"
+  | "optimism-sepolia"
+  | "avalanche-fuji"
+  | "polygon-amoy"
+  | "solana-devnet"
+  | "starknet-sepolia"
+  | "ethereum-mainnet"
+  | "avalanche-mainnet"
+  | "optimism-mainnet"
+  | "arbitrum-mainnet"
+  | "solana-mainnet"
+  | "base-mainnet"
+  | "polygon-mainnet"
+  | "starknet-mainnet"
+  // networks added in the networks file
+  | (string & {});
+
+/** A Solana signer that holds no key here: the wallet interface Anchor and wallet adapters use */
+export interface SolanaWalletSigner {
+  publicKey: PublicKey;
+  signTransaction<T extends Transaction | VersionedTransaction>(tx: T): Promise<T>;
+  signAllTransactions<T extends Transaction | VersionedTransaction>(txs: T[]): Promise<T[]>;
+}
+
+export type SolanaSigner = Keypair | SolanaWalletSigner;
+
+export interface Signers {
+  evm?: LocalAccount;
+  solana?: SolanaSigner;
+  starknet?: StarknetAccount;
+}
+
+/** Asked for the passphrase of an encrypted key file that has none in the environment */
+export type PassphraseCallback = (request: { kind: ChainKind; file: string }) => string | Promise<string>;
+
+/** A message as returned by Iris `/v2/messages/{domain}` */
+export interface IrisMessage {
+  message: string;
+  attestation: string;
+  status: string;
+  eventNonce?: string;
+  decodedMessage?: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+export interface PreflightCheck {
+  name: string;
+  ok: boolean;
+  detail: string;
+}
+
+/** One dry-run step; nothing is broadcast */
+export interface Simulation {
+  chain: string;
+  step: "approve" | "burn" | "mint";
+  ok: boolean;
+  /** Human-readable, in the chain's fee unit */
+  estimatedFee?: string;
+  /** Contract/program, function and decoded arguments; Starknet mints include the ByteArray felt layout */
+  calldata: unknown;
+  error?: string;
+  note?: string;
+  /** Solana program logs */
+  logs?: string[];
+}
+
+export type ProgressEvent =
+  | {
+      type: "started";
+      /** Journal id, when a journal is configured */
+      id?: string;
+      source: string;
+      destination: string;
+      sender: string;
+      recipient: string;
+      amount: bigint;
+      maxFee: bigint;
+      /** Quoted fee in basis points for the chosen finality, when Iris returned one */
+      feeBps?: number;
+      minFinalityThreshold: number;
+      /** "0x" when the transfer carries no hook data */
+      hookData: Hex;
+      /** Set when only this destination account may mint */
+      destinationCaller?: string;
+    }
+  | { type: "preflight"; chain: string; role: "burn" | "mint"; checks: PreflightCheck[] }
+  | ({ type: "simulated" } & Simulation)
+  /** A stuck EVM tx was re-sent on the same nonce with a higher fee */
+  | { type: "tx-replaced"; chain: string; nonce: number; txHash: Hex; replacedTxHash: Hex }
+  | { type: "approved"; chain: string; txHash: string }
+  | { type: "burned"; chain: string; txHash: string }
+  | { type: "attestation-pending"; sourceDomain: number; txHash: string; status: string; retryInMs: number }
+  | { type: "attested"; sourceDomain: number; txHash: string; attestation: IrisMessage }
+  | { type: "resuming"; id: string; status: TransferStatus; burnTx: string }
+  | { type: "minted"; chain: string; txHash: string }
+  | { type: "handed-off"; chain: string; burnTx: string; destinationCaller: string }
+  /** The message nonce was already used on the destination; `txHash` is the redeeming tx when it could be found */
+  | { type: "already-minted"; chain: string; nonce: Hex; txHash?: string }
+  | { type: "reclaimed"; chain: string; address: string; txHash: string; lamports: number }
+  | { type: "relay"; id: string; status: RelayStatus; txHash: string; detail?: string }
+  | { type: "log"; message: string };
+
+export type ProgressListener = (event: ProgressEvent) => void;
+
+export interface BridgeOptions {
+  source: NetworkName | Network;
+  destination: NetworkName | Network;
+  /** Base units (bigint) or a decimal USDC string such as "2.5" */
+  amount: bigint | string;
+  /** Destination address; for Solana the wallet whose USDC ATA receives the mint */
+  recipient?: string;
+  /** Signers keyed by chain kind; missing ones are loaded from `env` (see `loadSigner`) */
+  signers?: Signers;
+  /** Unlocks encrypted key files whose passphrase isn't in `env`; the CLI prompts */
+  passphrase?: PassphraseCallback;
+  minFinalityThreshold?: number;
+  /** Fee cap in base units; the maxFee itself comes from the Iris fee quote */
+  maxFee?: bigint;
+  /**
+   * Drop to standard finality when the fast fee is over the cap or can't be quoted (default
+   * false: such a fast transfer throws FAST_FEE_UNAVAILABLE before anything is sent)
+   */
+  fallbackToStandard?: boolean;
+  /** How EVM sources grant the TokenMessenger allowance (default "blanket") */
+  approval?: ApprovalMode;
+  /** Check balances, gas and account readiness on both sides before burning (default true) */
+  preflight?: boolean;
+  /** Simulate the burn and report instead of sending anything */
+  dryRun?: boolean;
+  /** Attach CCTP hook data (0x hex, bytes, or UTF-8 text); burns with depositForBurnWithHook */
+  hookData?: string | Uint8Array;
+  /**
+   * Destination account (EVM address, Starknet account or Solana pubkey) that alone may mint the
+   * message; default anyone. When it isn't the destination signer the transfer ends after the
+   * burn, handed off to that caller (see `HandOffResult`).
+   */
+  destinationCaller?: string;
+  env?: Record<string, string | undefined>;
+  /** Record each stage so the transfer can be resumed after a crash */
+  journal?: Journal;
+  /** Solana sources: remember each burn's event account for reclaimEventAccounts */
+  eventAccounts?: EventAccountStore;
+  /** Defaults to a client configured from `env` (IRIS_API_URL / IRIS_ENV / IRIS_TIMEOUT_MS) */
+  iris?: IrisClient;
+  onProgress?: ProgressListener;
+}
+
+export interface BridgeResult {
+  burnTx: string;
+  attestation: IrisMessage;
+  /** Our mint tx, or the redeeming tx (if found) when the message was already minted */
+  mintTx?: string;
+  alreadyMinted: boolean;
+}
+
+/** A burn whose destinationCaller is someone else: that account mints it, not this run */
+export interface HandOffResult {
+  burnTx: string;
+  handedOff: true;
+  destinationCaller: string;
+}
+
+export interface DryRunResult {
+  dryRun: true;
+  simulations: Simulation[];
+  /** Pre-flight failures that would have stopped a live run (bridge only) */
+  preflightFailures?: string[];
+  burnTx?: string;
+  attestation?: IrisMessage;
+}
+
+export function bridge(options: BridgeOptions & { dryRun: true }): Promise<DryRunResult>;
+export function bridge(options: BridgeOptions): Promise<BridgeResult | HandOffResult>;
+
+export interface CompleteOptions {
+  /** Source network name, CCTP domain number, or resolved network */
+  source: NetworkName | number | string | Network;
+  /** Burn tx hash (EVM / Starknet) or signature (Solana) on the source chain */
+  burnTx: string;
+  /** Which message of a multi-message transaction to complete (default: the first); must be in range */
+  messageIndex?: number;
+  /**
+   * The wallet the message mints to; refused if the message says otherwise. Only needed for a
+   * Solana recipient other than DESTINATION_SOLANA_ADDRESS or the signer whose USDC account may
+   * not exist yet: the message names the token account, not its owner
+   */
+  recipient?: string;
+  signers?: Signers;
+  passphrase?: PassphraseCallback;
+  env?: Record<string, string | undefined>;
+  journal?: Journal;
+  iris?: IrisClient;
+  /** Simulate the mint instead of sending it; nothing is journaled */
+  dryRun?: boolean;
+  onProgress?: ProgressListener;
+}
+
+/** A dry run that finds the message already minted resolves to a BridgeResult */
+export function complete(options: CompleteOptions & { dryRun: true }): Promise<DryRunResult | BridgeResult>;
+export function complete(options: CompleteOptions): Promise<BridgeResult>;
+
+export type TransferStatus = "burning" | "burned" | "attested" | "minted" | "handed-off";
+
+export interface JournalEntry {
+  id: string;
+  status: TransferStatus;
+  source: string;
+  destination: string;
+  /** Sender, recipient and amounts are unknown for transfers finished with `complete` */
+  sender?: string;
+  recipient?: string;
+  /** Base units, as a decimal string */
+  amount?: string;
+  maxFee?: string;
+  minFinalityThreshold?: number;
+  /** Hook data attached to the burn, when any */
+  hookData?: Hex;
+  /** bytes32 destinationCaller of the burn, when it was restricted */
+  destinationCaller?: Hex;
+  /** Recorded as soon as the burn is broadcast, while status is still "burning" */
+  burnTx?: string;
+  /** Every burn tx sent, when it was fee-bumped; any of them may be the one mined */
+  burnTxs?: string[];
+  attestation?: IrisMessage;
+  mintTx?: string;
+  /** Set when someone else had already redeemed the message */
+  alreadyMinted?: boolean;
+  /** Last error seen for this transfer */
+  error?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface Journal {
+  file: string;
+  list(): JournalEntry[];
+  get(id: string): JournalEntry | undefined;
+  unfinished(): JournalEntry[];
+  create(fields: Omit<JournalEntry, "id" | "status" | "createdAt" | "updatedAt"> & Partial<JournalEntry>): JournalEntry;
+  update(id: string, patch: Partial<JournalEntry>): JournalEntry;
+}
+
+export const DEFAULT_JOURNAL_PATH: string;
+export const STATUS: { [K in TransferStatus]: K };
+export function openJournal(file?: string): Journal;
+
+export interface ResumeOptions {
+  journal: Journal;
+  signers?: Signers;
+  passphrase?: PassphraseCallback;
+  env?: Record<string, string | undefined>;
+  iris?: IrisClient;
+  /** Simulate each mint from the saved attestation; the journal is not written */
+  dryRun?: boolean;
+  onProgress?: ProgressListener;
+}
+
+export type ResumeResult =
+  | ({ id: string; status: "minted" } & BridgeResult)
+  | ({ id: string; status: "simulated" } & DryRunResult)
+  | { id: string; status: "skipped" }
+  | { id: string; status: "failed"; error: Error };
+
+export function resume(options: ResumeOptions): Promise<ResumeResult[]>;
+
+export interface BatchRow {
+  recipient: string;
+  /** Decimal USDC string or base units */
+  amount: string | bigint;
+  hookData?: string;
+}
+
+export interface BatchOptions {
+  source: NetworkName | Network;
+  /** Default "starknet-sepolia" */
+  destination?: NetworkName | Network;
+  rows: BatchRow[];
+  signers?: Signers;
+  passphrase?: PassphraseCallback;
+  minFinalityThreshold?: number;
+  /** Per-row fee cap in base units */
+  maxFee?: bigint;
+  /** As in BridgeOptions; a row whose fast fee is unavailable fails without it */
+  fallbackToStandard?: boolean;
+  approval?: ApprovalMode;
+  /** Destination account that alone may mint every row; default anyone */
+  destinationCaller?: string;
+  preflight?: boolean;
+  /** receive_message calls per Starknet multicall (default 10) */
+  mintChunkSize?: number;
+  env?: Record<string, string | undefined>;
+  journal?: Journal;
+  /** Solana sources: remember each burn's event account for reclaimEventAccounts */
+  eventAccounts?: EventAccountStore;
+  iris?: IrisClient;
+  onProgress?: ProgressListener;
+}
+
+export interface BatchReportRow {
+  /** 1-based position in the input */
+  row: number;
+  recipient: string;
+  amount: bigint;
+  hookData?: Hex;
+  burnTx?: string;
+  nonce?: Hex;
+  mintTx?: string;
+  status: "minted" | "already-minted" | "handed-off" | "failed" | "pending";
+  error?: string;
+}
+
+export const DEFAULT_MINT_CHUNK_SIZE: number;
+/** CSV (recipient,amount[,hookData], header optional) or a JSON array of rows */
+export function readBatchFile(file: string): BatchRow[];
+export function batchTransfer(options: BatchOptions): Promise<BatchReportRow[]>;
+
+export type RelayStatus = "pending" | "attested" | "minted" | "already-minted" | "failed";
+
+export interface RelayJob {
+  /** "<source network>:<burn tx>:<ordinal>" */
+  id: string;
+  source: NetworkName;
+  sourceDomain: number;
+  txHash: string;
+  /** Position among the tx's burns with the same recipient and amount */
+  ordinal: number;
+  destinationDomain: number;
+  mintRecipient: Hex;
+  destinationCaller: Hex;
+  /** Base units, as a decimal string */
+  amount: string;
+  status: RelayStatus;
+  /** Failed mint attempts so far */
+  attempts: number;
+  nextAttemptAt: string;
+  attestation?: Pick<IrisMessage, "message" | "attestation">;
+  nonce?: Hex;
+  mintTx?: string;
+  error?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface RelayQueue {
+  file: string;
+  list(): RelayJob[];
+  get(id: string): RelayJob | undefined;
+  due(now?: number): RelayJob[];
+  cursor(source: string): string | undefined;
+  setCursor(source: string, cursor: string): void;
+  add(fields: Omit<RelayJob, "status" | "attempts" | "nextAttemptAt" | "createdAt" | "updatedAt">): RelayJob | undefined;
+  update(id: string, patch: Partial<RelayJob>): RelayJob;
+  /** Requeue every failed job; returns how many */
+  retryFailed(): number;
+}
+
+export interface RelayerTuning {
+  pollIntervalMs?: number;
+  maxAttempts?: number;
+  retryDelayMs?: number;
+  maxRetryDelayMs?: number;
+  attestationTimeoutMs?: number;
+}
+
+export interface RelayerOptions extends RelayerTuning {
+  /** Default "starknet-sepolia" */
+  destination?: NetworkName | Network;
+  /** EVM or Solana networks to watch; default base-sepolia and solana-devnet */
+  sources?: (NetworkName | Network)[];
+  /** Only relay burns to these destination addresses... */
+  recipients?: string[];
+  /** ...or with one of these destinationCallers. Both empty: relay every burn to the destination */
+  destinationCallers?: string[];
+  queue?: RelayQueue;
+  signers?: Signers;
+  passphrase?: PassphraseCallback;
+  env?: Record<string, string | undefined>;
+  iris?: IrisClient;
+  /** One scan and one pass over the due jobs, then return */
+  once?: boolean;
+  signal?: AbortSignal;
+  onProgress?: ProgressListener;
+}
+
+export const DEFAULT_RELAY_QUEUE_PATH: string;
+export const RELAY_STATUS: {
+  pending: "pending";
+  attested: "attested";
+  minted: "minted";
+  alreadyMinted: "already-minted";
+  failed: "failed";
+};
+export const RELAYER_DEFAULTS: Required<RelayerTuning>;
+export function relayerOptionsFromEnv(
+  env?: Record<string, string | undefined>,
+): RelayerTuning & { recipients?: string[]; destinationCallers?: string[] };
+export function openRelayQueue(file?: string): RelayQueue;
+export function runRelayer(options?: RelayerOptions): Promise<RelayJob[]>;
+
+export interface EventAccount {
+  network: NetworkName;
+  /** The MessageSent account, base58 */
+  address: string;
+  burnTx: string;
+  rentPayer: string;
+  lamports?: number;
+  reclaimTx?: string;
+  /** Closed by someone else */
+  closed?: boolean;
+  error?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface EventAccountStore {
+  file: string;
+  list(): EventAccount[];
+  get(address: string): EventAccount | undefined;
+  open(): EventAccount[];
+  add(fields: Omit<EventAccount, "createdAt" | "updatedAt">): EventAccount | undefined;
+  update(address: string, patch: Partial<EventAccount>): EventAccount;
+}
+
+export interface ReclaimOptions {
+  /** Default "solana-devnet" */
+  network?: NetworkName | Network;
+  /** The rent payer; defaults to SOLANA_PRIVATE_KEY_B58 */
+  signer?: SolanaSigner;
+  passphrase?: PassphraseCallback;
+  store?: EventAccountStore;
+  /** Also look for the signer's event accounts on chain (default true) */
+  discover?: boolean;
+  env?: Record<string, string | undefined>;
+  iris?: IrisClient;
+  onProgress?: ProgressListener;
+}
+
+export interface ReclaimResult {
+  address: string;
+  burnTx?: string;
+  lamports?: number;
+  status: "reclaimed" | "not-attested" | "closed" | "failed";
+  reclaimTx?: string;
+  error?: string;
+}
+
+export const DEFAULT_EVENT_ACCOUNTS_PATH: string;
+export function openEventAccountStore(file?: string): EventAccountStore;
+export function reclaimEventAccounts(options?: ReclaimOptions): Promise<ReclaimResult[]>;
+export function findEventAccounts(
+  network: Network,
+  owner: string,
+): Promise<{ address: string; lamports: number; burnTx?: string }[]>;
+export function reclaimEventAccount(params: {
+  network: Network;
+  signer: Keypair;
+  eventAccount: string;
+  attestation: IrisMessage;
+  env?: Record<string, string | undefined>;
+  onProgress?: ProgressListener;
+}): Promise<string>;
+
+export type HistoryStatus = "burned" | "pending" | "attested" | "minted";
+
+export interface HistoryTransfer {
+  /** "<source network>:<burn tx>:<ordinal>" */
+  id: string;
+  source: NetworkName;
+  sourceDomain: number;
+  txHash: string;
+  ordinal: number;
+  depositor?: string;
+  burnedAt?: string;
+  /** Unset when the domain isn't one of ours */
+  destination?: NetworkName;
+  destinationDomain: number;
+  mintRecipient: Hex;
+  /** Base units, as decimal strings */
+  amount: string;
+  maxFee?: string;
+  feeExecuted?: string;
+  minFinalityThreshold?: number;
+  finalityThresholdExecuted?: number;
+  status: HistoryStatus;
+  /** Iris message status, e.g. "pending_confirmations" or "complete" */
+  irisStatus?: string;
+  nonce?: Hex;
+  mintTx?: string;
+  /** Only when the change was seen between two indexer runs, or the journal recorded the mint */
+  attestedAt?: string;
+  mintedAt?: string;
+  checkedAt?: string;
+}
+
+export interface HistoryStore {
+  file: string;
+  list(): HistoryTransfer[];
+  get(id: string): HistoryTransfer | undefined;
+  cursor(key: string): string | undefined;
+  setCursor(key: string, cursor: string): void;
+  add(fields: HistoryTransfer): HistoryTransfer | undefined;
+  update(id: string, patch: Partial<HistoryTransfer>): HistoryTransfer;
+}
+
+export interface HistoryOptions {
+  /** EVM or Solana networks to index; default base-sepolia and solana-devnet */
+  sources?: (NetworkName | Network)[];
+  store?: HistoryStore;
+  /** Address to index per chain kind; defaults to the signer's address */
+  addresses?: Partial<Record<ChainKind, string>>;
+  signers?: Signers;
+  passphrase?: PassphraseCallback;
+  env?: Record<string, string | undefined>;
+  iris?: IrisClient;
+  /** Mint txs and times come from here when the transfer was ours */
+  journal?: Journal;
+  onProgress?: ProgressListener;
+}
+
+export interface TransferStatusOptions {
+  txHash: string;
+  /** Needed when the tx isn't in the history */
+  source?: NetworkName | Network | number;
+  store?: HistoryStore;
+  env?: Record<string, string | undefined>;
+  iris?: IrisClient;
+  journal?: Journal;
+  onProgress?: ProgressListener;
+}
+
+export const DEFAULT_HISTORY_PATH: string;
+export const HISTORY_STATUS: { [K in HistoryStatus]: K };
+export function openHistory(file?: string): HistoryStore;
+export function indexHistory(options?: HistoryOptions): Promise<HistoryTransfer[]>;
+export function transferStatus(options: TransferStatusOptions): Promise<Partial<HistoryTransfer>[]>;
+
+/**
+ * "blanket": approve 10,000 USDC (or the amount, if larger); "exact": approve just the amount.
+ * Both skip when the allowance already suffices.
+ */
+export type ApprovalMode = "blanket" | "exact";
+
+export interface BurnParams {
+  network: Network;
+  signer: LocalAccount | Keypair | StarknetAccount;
+  amount: bigint;
+  destinationDomain: number;
+  mintRecipient: Hex;
+  destinationCaller: Hex;
+  maxFee: bigint;
+  minFinalityThreshold: number;
+  /** EVM only */
+  approval?: ApprovalMode;
+  /** 0x hex; non-empty switches to the *_with_hook burn */
+  hookData?: Hex;
+  /** Solana only: where to remember the MessageSent event account */
+  eventAccounts?: EventAccountStore;
+  env?: Record<string, string | undefined>;
+  onProgress?: ProgressListener;
+}
+
+export interface MintParams {
+  network: Network;
+  signer: LocalAccount | Keypair | StarknetAccount;
+  attestation: IrisMessage;
+  recipient?: string;
+  /** Solana: SOLANA_IDL_CHECK is read from here (default process.env) */
+  env?: Record<string, string | undefined>;
+  onProgress?: ProgressListener;
+}
+
+export interface ObservedBurn {
+  txHash: string;
+  /** EVM sender or Solana owner */
+  depositor: string;
+  /** Block time, unix seconds */
+  timestamp?: number;
+  destinationDomain: number;
+  mintRecipient: Hex;
+  destinationCaller: Hex;
+  amount: bigint;
+  maxFee: bigint;
+  minFinalityThreshold: number;
+}
+
+export interface FindBurnsOptions {
+  /** Only burns by this address */
+  depositor?: string;
+  /** Without a cursor, start some way back instead of at the head */
+  backfill?: boolean;
+  /** Solana: SOLANA_IDL_CHECK is read from here (default process.env) */
+  env?: Record<string, string | undefined>;
+  onProgress?: ProgressListener;
+}
+
+export interface NonceUsage {
+  used: boolean;
+  redeemTx?: string;
+}
+
+export interface Route {
+  burn(params: BurnParams): Promise<string>;
+  mint(params: MintParams): Promise<string>;
+  toMintRecipient(network: Network, address: string): Hex;
+  /** EVM and Starknet: the recipient address a message's bytes32 mintRecipient stands for */
+  fromMintRecipient?(network: Network, mintRecipient: Hex): string;
+  /** Solana only: throws (code "RECIPIENT_IS_TOKEN_ACCOUNT") for recipients that can't receive a mint */
+  checkRecipients?(network: Network, recipients: string[]): Promise<void>;
+  checkNonceUsed(network: Network, decoded: DecodedMessage): Promise<NonceUsage>;
+  /** Starknet only: several mints in one multicall */
+  mintMany?(params: Omit<MintParams, "attestation" | "recipient"> & { attestations: IrisMessage[] }): Promise<string>;
+  preflight(network: Network, signer: LocalAccount | Keypair | StarknetAccount, options: PreflightOptions): Promise<PreflightCheck[]>;
+  simulateBurn(params: BurnParams): Promise<Simulation>;
+  simulateMint(params: MintParams): Promise<Simulation>;
+  /** EVM and Solana: burns since `cursor` (a block number or a signature) */
+  findBurns?(
+    network: Network,
+    cursor: string | undefined,
+    options?: FindBurnsOptions,
+  ): Promise<{ burns: ObservedBurn[]; cursor?: string; caughtUp: boolean }>;
+}
+
+export interface PreflightOptions {
+  /** "burn" also checks the USDC balance (and the Solana denylist) */
+  role: "burn" | "mint";
+  amount: bigint;
+  /** How many burns or mints the signer pays gas for (default 1; a batch's row count) */
+  transfers?: number;
+  env?: Record<string, string | undefined>;
+  onProgress?: ProgressListener;
+}
+
+export const ROUTES: Record<ChainKind, Route>;
+export const FINALITY: { fast: number; standard: number };
+export const FEE_HEADROOM_PERCENT: bigint;
+
+/** One entry of Iris `/v2/burn/USDC/fees/{source}/{destination}` */
+export interface BurnFeeQuote {
+  finalityThreshold: number;
+  /** Basis points of the amount; may be fractional */
+  minimumFee: number;
+}
+
+export interface FeeQuoteOptions {
+  iris: Pick<IrisClient, "getBurnFees">;
+  sourceDomain: number;
+  destinationDomain: number;
+  amount: bigint;
+  minFinalityThreshold?: number;
+  maxFeeCap?: bigint;
+  /** Default false: a fast transfer without a usable quote throws FAST_FEE_UNAVAILABLE */
+  fallbackToStandard?: boolean;
+  onProgress?: ProgressListener;
+}
+
+export interface FeeQuote {
+  minFinalityThreshold: number;
+  maxFee: bigint;
+  feeBps?: number;
+  /** True when a fast transfer was downgraded to standard */
+  fellBack: boolean;
+}
+
+/** Fee in base units for `amount` at `bps` basis points, rounded up */
+export function feeForAmount(amount: bigint, bps: number): bigint;
+export function quoteTransferFee(options: FeeQuoteOptions): Promise<FeeQuote>;
+
+export type NetworkProfile = Omit<Network, "name" | "rpc">;
+export const DEFAULT_NETWORKS_PATH: string;
+export const TESTNET_NETWORKS: Record<string, NetworkProfile>;
+/** Opt-in: resolvable only with CCTP_MAINNET=true */
+export const MAINNET_NETWORKS: Record<string, NetworkProfile>;
+export const NETWORKS: Record<string, NetworkProfile>;
+export function mainnetEnabled(env?: Record<string, string | undefined>): boolean;
+/** Built-in profiles merged with the networks file (CCTP_NETWORKS, default .cctp/networks.json) */
+export function listNetworks(env?: Record<string, string | undefined>): Record<string, NetworkProfile>;
+export function getNetwork(name: string, env?: Record<string, string | undefined>): Network;
+/** Testnet profiles unless `mainnet` (default: CCTP_MAINNET) */
+export function getNetworkByDomain(
+  domain: number | string,
+  env?: Record<string, string | undefined>,
+  options?: { mainnet?: boolean },
+): Network;
+export function resolveNetwork(
+  nameOrDomain: number | string,
+  env?: Record<string, string | undefined>,
+  options?: { mainnet?: boolean },
+): Network;
+
+/** Per chain kind: the variable naming the key file and the one holding its passphrase */
+export const KEYSTORE_ENV: Record<ChainKind, { file: string; passphrase: string }>;
+/**
+ * From the first source configured: CCTP_SIGNER_MODULE's callbacks for the kind, the key file
+ * (EVM_KEYSTORE, STARKNET_KEYSTORE, SOLANA_KEYPAIR), then the plaintext key in `env`
+ */
+export function loadSigner(
+  network: Network,
+  env?: Record<string, string | undefined>,
+  options?: { passphrase?: PassphraseCallback },
+): Promise<LocalAccount | SolanaSigner | StarknetAccount>;
+export function signerAddress(network: Network, signer: LocalAccount | SolanaSigner | StarknetAccount): string;
+export function readPlaintextKey(kind: ChainKind, env?: Record<string, string | undefined>): Uint8Array;
+
+export interface ExternalEvmCallbacks {
+  address: Hex;
+  /** Resolves to the serialized signed transaction, as viem's `toAccount` expects */
+  signTransaction: LocalAccount["signTransaction"];
+  signTypedData?: LocalAccount["signTypedData"];
+  signMessage?: LocalAccount["signMessage"];
+}
+export interface ExternalSolanaCallbacks {
+  publicKey: PublicKey | string;
+  /** Resolves to the 64-byte ed25519 signature of the serialized transaction message */
+  signMessage(message: Uint8Array): Promise<Uint8Array>;
+}
+export interface ExternalStarknetCallbacks {
+  address: string;
+  publicKey?: string;
+  /** Resolves to the signature of a transaction hash, e.g. [r, s] */
+  signHash(hash: string): Promise<string[] | bigint[] | { r: bigint; s: bigint }>;
+}
+export function externalEvmSigner(callbacks: ExternalEvmCallbacks): LocalAccount;
+export function externalSolanaSigner(callbacks: ExternalSolanaCallbacks): SolanaWalletSigner;
+export function externalStarknetSigner(network: Network, callbacks: ExternalStarknetCallbacks): StarknetAccount;
+
+/** Web3 Secret Storage (v3) keystore JSON */
+export interface Keystore {
+  version: 3;
+  id: string;
+  address?: string;
+  crypto: {
+    cipher: "aes-128-ctr";
+    ciphertext: string;
+    cipherparams: { iv: string };
+    kdf: "scrypt" | "pbkdf2";
+    kdfparams: Record<string, string | number>;
+    mac: string;
+  };
+}
+export const KEYSTORE_SCRYPT: { n: number; r: number; p: number; dklen: number };
+export function isKeystore(value: unknown): value is Keystore;
+/** Throws with `code: "BAD_PASSPHRASE"` when the MAC doesn't match */
+export function decryptKeystore(keystore: Keystore, passphrase: string): Promise<Uint8Array>;
+export function encryptKeystore(
+  privateKey: Uint8Array,
+  passphrase: string,
+  options?: { address?: string; scrypt?: { n: number; r: number; p: number; dklen: number } },
+): Promise<Keystore>;
+
+export interface IrisClientOptions {
+  baseUrl?: string;
+  /** Overall deadline for one attestation */
+  timeoutMs?: number;
+  requestTimeoutMs?: number;
+  initialDelayMs?: number;
+  maxDelayMs?: number;
+  backoffFactor?: number;
+}
+
+export interface WaitForAttestationOptions {
+  onProgress?: ProgressListener;
+  /** Pick the n-th message of a multi-message transaction */
+  messageIndex?: number;
+  /** Pick the message bound for this domain */
+  destinationDomain?: number;
+  timeoutMs?: number;
+}
+
+export type IrisLookupStatus = "ok" | "not_found" | "rate_limited" | "error";
+
+export interface IrisClient {
+  baseUrl: string;
+  getMessages(
+    sourceDomain: number,
+    txHash: string,
+  ): Promise<{ status: IrisLookupStatus; messages: IrisMessage[]; retryAfterMs?: number; error?: Error }>;
+  getBurnFees(sourceDomain: number, destinationDomain: number): Promise<BurnFeeQuote[]>;
+  /** Rejects with an error whose `code` is "IRIS_TIMEOUT" once the deadline passes */
+  waitForAttestation(sourceDomain: number, txHash: string, options?: WaitForAttestationOptions): Promise<IrisMessage>;
+}
+
+export const IRIS_HOSTS: { sandbox: string; mainnet: string };
+export const IRIS_DEFAULTS: Required<Omit<IrisClientOptions, "baseUrl">>;
+/** IRIS_API_URL, else the profile's host; throws when IRIS_ENV names the other environment */
+export function irisBaseUrl(env?: Record<string, string | undefined>, network?: Network): string;
+export function irisOptionsFromEnv(env?: Record<string, string | undefined>, network?: Network): IrisClientOptions;
+export function createIrisClient(options?: IrisClientOptions): IrisClient;
+/** Throws INVALID_MESSAGE_INDEX for an index that is negative or past the listed messages */
+export function selectMessage(
+  messages: IrisMessage[],
+  selector?: { messageIndex?: number; destinationDomain?: number },
+): IrisMessage | undefined;
+/** The `ordinal`-th message in a tx with this destination, recipient and amount */
+export function findBurnMessage(
+  messages: IrisMessage[],
+  burn: { destinationDomain: number; mintRecipient: Hex; amount: bigint | string; ordinal?: number },
+): IrisMessage | undefined;
+export function isAttested(message: IrisMessage | undefined): boolean;
+export function retrieveAttestation(
+  sourceDomain: number,
+  srcTxHash: string,
+  options?: WaitForAttestationOptions,
+): Promise<IrisMessage>;
+
+export interface BurnMessage {
+  version: number;
+  burnToken: Hex;
+  mintRecipient: Hex;
+  amount: bigint;
+  messageSender: Hex;
+  maxFee: bigint;
+  feeExecuted: bigint;
+  expirationBlock: bigint;
+  hookData: Hex;
+}
+
+export interface DecodedMessage {
+  version: number;
+  sourceDomain: number;
+  destinationDomain: number;
+  nonce: Hex;
+  sender: Hex;
+  recipient: Hex;
+  destinationCaller: Hex;
+  minFinalityThreshold: number;
+  finalityThresholdExecuted: number;
+  messageBody: Hex;
+  burnMessage: BurnMessage;
+}
+
+export interface ExpectedMessage {
+  sourceDomain?: number;
+  destinationDomain?: number;
+  mintRecipient?: string;
+  amount?: bigint;
+  hookData?: string;
+}
+
+export const HEADER_LENGTH: number;
+export function decodeBurnMessage(body: Uint8Array): BurnMessage;
+/** Accepts raw bytes or an Iris envelope string (hex or base64) */
+export function decodeMessage(message: string | Uint8Array): DecodedMessage;
+/** Throws listing every mismatch between the message and `expected` */
+export function validateMessage(decoded: DecodedMessage, expected: ExpectedMessage): DecodedMessage;
+
+export const USDC_DECIMALS: number;
+/** Throws on zero unless `allowZero` */
+export function parseUsdcAmount(value: string | number, options?: { allowZero?: boolean }): bigint;
+export function formatUsdcAmount(amount: bigint): string;
+
+export const ZERO_BYTES32: Hex;
+export function toBytes32(hex: string): Hex;
+export function decodeEnvelope(str: string): Buffer;
+export function readBytes32Hex(bytes: Uint8Array, offset: number): Hex;
+export function bytesToFelt(chunk: Uint8Array): bigint;
+export function bytesToByteArrayCalldata(bytes: Uint8Array): bigint[];
+/** 0x-prefixed hex is taken as bytes, other strings as UTF-8 text */
+export function parseHookData(value?: string | Uint8Array): Hex;
+/** The hook data as text when it is printable UTF-8 */
+export function hookDataText(hex: string): string | undefined;
+
+export const STARKNET_FIELD_PRIME: bigint;
+export const STARKNET_ADDRESS_BOUND: bigint;
+/** EIP-55 checksummed; throws with `code: "INVALID_ADDRESS"` on a bad format or checksum */
+export function normalizeEvmAddress(address: string): Hex;
+/** 0x plus 64 hex digits; refuses values outside the address range and EVM-sized values */
+export function normalizeStarknetAddress(address: string): Hex;
+export function normalizeSolanaAddress(address: string): string;
+export function normalizeAddress(kind: ChainKind, address: string): string;
+export function isValidAddress(kind: ChainKind, address: string): boolean;
+export function addressToBytes32(kind: ChainKind, address: string): Hex;
+export function bytes32ToAddress(kind: ChainKind, bytes32: string): string;
+
+export interface TxOptions {
+  confirmations?: number;
+  stuckAfterMs?: number;
+  maxBumps?: number;
+  /** How long the last fee bump may sit unmined before giving up (code "TX_NOT_MINED") */
+  finalWaitMs?: number;
+  bumpPercent?: bigint;
+  pollingIntervalMs?: number;
+}
+
+export const TX_DEFAULTS: Required<TxOptions>;
+/** Error fragments revert data is decoded against, besides the called function's ABI */
+export const CCTP_ERRORS: readonly { type: "error"; name: string; inputs: readonly { name: string; type: string }[] }[];
+export function txOptionsFromEnv(env?: Record<string, string | undefined>): TxOptions;
+/**
+ * Send a contract call with a locally tracked nonce, replace it with a higher fee while it is
+ * stuck, wait for confirmations and throw with the decoded revert reason if it fails. After a
+ * TX_NOT_MINED timeout the next send re-reads the pending nonce.
+ */
+export function sendManagedTransaction(
+  network: Network,
+  account: LocalAccount,
+  call: { address: Hex; abi: readonly unknown[]; functionName: string; args?: readonly unknown[] },
+  options?: TxOptions & {
+    what?: string;
+    /** Called as each attempt is broadcast, with every hash sent so far */
+    onSent?: (hash: Hex, hashes: Hex[]) => void | Promise<void>;
+    onProgress?: ProgressListener;
+  },
+): Promise<import("viem").TransactionReceipt>;
+
+export function readAllowance(network: Network, owner: Hex): Promise<bigint>;
+/** Resolves to undefined when the existing allowance already covers `amount` */
+export function approveUSDC(
+  network: Network,
+  account: LocalAccount,
+  options?: { amount?: bigint; exact?: boolean; onProgress?: ProgressListener },
+): Promise<Hex | undefined>;
+export function burnUSDC(
+  network: Network,
+  account: LocalAccount,
+  params: Omit<BurnParams, "network" | "signer">,
+): Promise<Hex>;
+export function mintUSDC(params: MintParams): Promise<Hex>;
+
+export function burnOnStarknet(params: BurnParams): Promise<Hex>;
+export function mintOnStarknet(params: MintParams): Promise<string>;
+/** One multicall of receive_message calls; reverts as a whole if any message is rejected */
+export function mintManyOnStarknet(
+  params: Omit<MintParams, "attestation" | "recipient"> & { attestations: IrisMessage[] },
+): Promise<string>;
+
+export interface SolanaTxOptions {
+  /** Unset: simulate and add a 20% margin */
+  computeUnitLimit?: number;
+  /** Unset: a percentile of recent fees paid on the written accounts */
+  priorityFeeMicroLamports?: number;
+  priorityFeePercentile?: number;
+  maxPriorityFeeMicroLamports?: number;
+  resendIntervalMs?: number;
+  maxBlockhashRetries?: number;
+}
+
+export const SOLANA_TX_DEFAULTS: SolanaTxOptions;
+export function solanaTxOptionsFromEnv(env?: Record<string, string | undefined>): SolanaTxOptions;
+/**
+ * Send instructions as a v0 transaction with a compute budget and priority fee, resent until it
+ * confirms and re-signed with a fresh blockhash when one expires. Throws with
+ * `code: "SOLANA_TX_EXPIRED"` once the retries run out.
+ */
+export function sendSolanaTransaction(
+  connection: Connection,
+  payer: SolanaSigner,
+  instructions: TransactionInstruction[],
+  options?: SolanaTxOptions & { extraSigners?: Keypair[]; what?: string; onProgress?: ProgressListener },
+): Promise<string>;
+
+export function depositForBurnOnSolana(params: BurnParams): Promise<string>;
+export function receiveMessageOnSolana(params: MintParams): Promise<string>;
+
+export interface ProgramAddress {
+  publicKey: PublicKey;
+  bump: number;
+}
+export interface ProgramIds {
+  tokenMessengerMinterProgramId: PublicKey;
+  messageTransmitterProgramId: PublicKey;
+}
+export function findProgramAddress(
+  label: string,
+  programId: PublicKey,
+  extraSeeds?: Array<string | number[] | Buffer | PublicKey>,
+): ProgramAddress;
+export function getDepositForBurnPdasV2(
+  usdcMint: PublicKey,
+  ownerPk: PublicKey,
+  programIds: ProgramIds,
+): Record<
+  | "messageTransmitterAccount"
+  | "tokenMessengerAccount"
+  | "tokenMinterAccount"
+  | "localToken"
+  | "authorityPda"
+  | "denylistAccount",
+  ProgramAddress
+>;
+export function getReceiveMessagePdasV2(
+  usdcMint: PublicKey,
+  remoteUsdcAddressHex: string,
+  remoteDomain: number,
+  nonceHex: string,
+  programIds: ProgramIds,
+): Record<
+  | "messageTransmitterAccount"
+  | "authorityPda"
+  | "usedNonce"
+  | "tokenMessengerAccount"
+  | "tokenMinterAccount"
+  | "localToken"
+  | "remoteTokenMessengerKey"
+  | "tokenPair"
+  | "custodyTokenAccount"
+  | "tokenMessengerEventAuthority"
+  | "messageTransmitterEventAuthority",
+  ProgramAddress
+>;
+export function getFeeRecipientTokenAccount(
+  connection: Connection,
+  tokenMessengerAccount: PublicKey,
+  usdcMint: PublicKey,
+  tokenMessengerIdl: Idl,
+): Promise<PublicKey>;
+export function fetchIdlWithFallback(
+  programId: PublicKey,
+  url: string,
+  provider: AnchorProvider,
+  onProgress?: ProgressListener,
+): Promise<Idl>;
+
+export type SolanaProgram = "tokenMessengerMinter" | "messageTransmitter";
+export interface IdlCheck {
+  program: SolanaProgram;
+  programId: string;
+  file: string;
+  version?: string;
+  bundledHash?: string;
+  onChainHash?: string;
+  status: "match" | "drift" | "no-bundle" | "no-on-chain";
+  error?: string;
+}
+export interface IdlUpdate {
+  program: SolanaProgram;
+  file: string;
+  version?: string;
+  previousHash?: string;
+  hash: string;
+  changed: boolean;
+}
+
+export const BUNDLED_IDL_DIR: string;
+export const SOLANA_IDLS: Record<SolanaProgram, { programField: string; urlField: string; file: string }>;
+export function idlHash(idl: Idl): string;
+export function readBundledIdl(program: SolanaProgram, dir?: string): Idl | undefined;
+/** The bundled IDL (warning once if the on-chain one drifted), or a fetched one when none is bundled */
+export function loadIdl(
+  network: Network,
+  program: SolanaProgram,
+  provider?: AnchorProvider,
+  options?: { env?: Record<string, string | undefined>; onProgress?: ProgressListener },
+): Promise<Idl>;
+export function checkIdls(network: Network, options?: { provider?: AnchorProvider; dir?: string }): Promise<IdlCheck[]>;
+export function updateIdls(
+  network: Network,
+  options?: { provider?: AnchorProvider; dir?: string; onProgress?: ProgressListener },
+): Promise<IdlUpdate[]>;
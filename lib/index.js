@@ -0,0 +1,94 @@
+// Library entry point: importable without side effects (no env parsing or clients until called)
+export { bridge, complete, resume, ROUTES } from "./bridge.js";
+export { batchTransfer, readBatchFile, DEFAULT_MINT_CHUNK_SIZE } from "./batch.js";
+export {
+  runRelayer,
+  openRelayQueue,
+  relayerOptionsFromEnv,
+  DEFAULT_RELAY_QUEUE_PATH,
+  RELAY_STATUS,
+  RELAYER_DEFAULTS,
+} from "./relayer.js";
+export { indexHistory, transferStatus, openHistory, DEFAULT_HISTORY_PATH, HISTORY_STATUS } from "./history.js";
+export { reclaimEventAccounts, openEventAccountStore, DEFAULT_EVENT_ACCOUNTS_PATH } from "./reclaim.js";
+export { FINALITY, quoteTransferFee, feeForAmount, FEE_HEADROOM_PERCENT } from "./fees.js";
+export { openJournal, DEFAULT_JOURNAL_PATH, STATUS } from "./journal.js";
+export {
+  NETWORKS,
+  TESTNET_NETWORKS,
+  MAINNET_NETWORKS,
+  DEFAULT_NETWORKS_PATH,
+  listNetworks,
+  mainnetEnabled,
+  getNetwork,
+  getNetworkByDomain,
+  resolveNetwork,
+} from "./networks.js";
+export {
+  KEYSTORE_ENV,
+  loadSigner,
+  signerAddress,
+  readPlaintextKey,
+  externalEvmSigner,
+  externalSolanaSigner,
+  externalStarknetSigner,
+} from "./signers.js";
+export { KEYSTORE_SCRYPT, isKeystore, decryptKeystore, encryptKeystore } from "./keystore.js";
+export {
+  retrieveAttestation,
+  createIrisClient,
+  selectMessage,
+  findBurnMessage,
+  isAttested,
+  irisBaseUrl,
+  irisOptionsFromEnv,
+  IRIS_HOSTS,
+  IRIS_DEFAULTS,
+} from "./iris.js";
+export { decodeMessage, decodeBurnMessage, validateMessage, HEADER_LENGTH } from "./message.js";
+export { parseUsdcAmount, formatUsdcAmount, USDC_DECIMALS } from "./amount.js";
+export {
+  ZERO_BYTES32,
+  toBytes32,
+  decodeEnvelope,
+  readBytes32Hex,
+  bytesToFelt,
+  bytesToByteArrayCalldata,
+  parseHookData,
+  hookDataText,
+} from "./encoding.js";
+export {
+  normalizeAddress,
+  normalizeEvmAddress,
+  normalizeStarknetAddress,
+  normalizeSolanaAddress,
+  isValidAddress,
+  addressToBytes32,
+  bytes32ToAddress,
+  STARKNET_FIELD_PRIME,
+  STARKNET_ADDRESS_BOUND,
+} from "./address.js";
+export { sendManagedTransaction, TX_DEFAULTS, CCTP_ERRORS, txOptionsFromEnv } from "./txmanager.js";
+export { sendSolanaTransaction, SOLANA_TX_DEFAULTS, solanaTxOptionsFromEnv } from "./solanatx.js";
+export {
+  loadIdl,
+  readBundledIdl,
+  checkIdls,
+  updateIdls,
+  fetchIdlWithFallback,
+  idlHash,
+  SOLANA_IDLS,
+  BUNDLED_IDL_DIR,
+} from "./solanaidl.js";
+export { approveUSDC, readAllowance, burnUSDC, mintUSDC } from "./evm.js";
+export { burnOnStarknet, mintOnStarknet, mintManyOnStarknet } from "./starknet.js";
+export {
+  depositForBurnOnSolana,
+  receiveMessageOnSolana,
+  findProgramAddress,
+  getDepositForBurnPdasV2,
+  getReceiveMessagePdasV2,
+  getFeeRecipientTokenAccount,
+  findEventAccounts,
+  reclaimEventAccount,
+} from "./solana.js";
@@ -0,0 +1,210 @@
+// Circle Iris client: message lookup and attestation polling with backoff, Retry-After and a deadline
+import axios from "axios";
+import { decodeMessage } from "./message.js";
+
+export const IRIS_HOSTS = {
+  sandbox: "https://iris-api-sandbox.circle.com",
+  mainnet: "https://iris-api.circle.com",
+};
+
+export const IRIS_DEFAULTS = {
+  timeoutMs: 30 * 60_000, // overall deadline for one attestation
+  requestTimeoutMs: 15_000,
+  initialDelayMs: 2_000,
+  maxDelayMs: 60_000,
+  backoffFactor: 2,
+};
+
+// IRIS_API_URL wins (an explicit host, e.g. a proxy), then the network profile's host. IRIS_ENV
+// (sandbox or mainnet) only picks the host when there's no profile; one that contradicts the
+// profile is refused, since the other environment never attests its burns. Sandbox by default.
+export function irisBaseUrl(env = process.env, network) {
+  if (env.IRIS_API_URL) return env.IRIS_API_URL;
+  const fromEnv = IRIS_HOSTS[env.IRIS_ENV];
+  if (!network?.iris) return fromEnv || IRIS_HOSTS.sandbox;
+  if (fromEnv && fromEnv !== network.iris) {
+    throw new Error(
+      `IRIS_ENV=${env.IRIS_ENV} selects ${fromEnv}, but ${network.label ?? network.name} burns are attested by ${network.iris}; unset IRIS_ENV, or set IRIS_API_URL to force a host`,
+    );
+  }
+  return network.iris;
+}
+
+// Client options from env: host as above, IRIS_TIMEOUT_MS for the overall deadline
+export const irisOptionsFromEnv = (env = process.env, network) => ({
+  baseUrl: irisBaseUrl(env, network),
+  ...(env.IRIS_TIMEOUT_MS ? { timeoutMs: Number(env.IRIS_TIMEOUT_MS) } : {}),
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with "equal jitter": half the delay is fixed, half random
+const backoffDelay = (attempt, { initialDelayMs, maxDelayMs, backoffFactor }) => {
+  const capped = Math.min(maxDelayMs, initialDelayMs * backoffFactor ** attempt);
+  return Math.round(capped / 2 + Math.random() * (capped / 2));
+};
+
+// Retry-After is either delta-seconds or an HTTP date
+const retryAfterMs = (header) => {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+const destinationDomainOf = (message) => {
+  const fromIris = message.decodedMessage?.destinationDomain;
+  if (fromIris !== undefined) return Number(fromIris);
+  try {
+    return decodeMessage(message.message).destinationDomain;
+  } catch {
+    return undefined;
+  }
+};
+
+// Pick the message we care about from a (possibly multi-message) transaction. A transaction's
+// messages are listed all at once, so an index past the end will never turn up and is refused
+export function selectMessage(messages, { messageIndex, destinationDomain } = {}) {
+  if (messageIndex !== undefined) {
+    if (!Number.isInteger(messageIndex) || messageIndex < 0) {
+      const err = new Error(`Message index must be a non-negative integer, got ${messageIndex}`);
+      err.code = "INVALID_MESSAGE_INDEX";
+      throw err;
+    }
+    if (messages.length && messageIndex >= messages.length) {
+      const err = new Error(
+        `Message index ${messageIndex} is out of range: the transaction emitted ${messages.length} message${messages.length === 1 ? "" : "s"}`,
+      );
+      err.code = "INVALID_MESSAGE_INDEX";
+      throw err;
+    }
+    return messages[messageIndex];
+  }
+  if (destinationDomain !== undefined) {
+    return messages.find((message) => destinationDomainOf(message) === Number(destinationDomain));
+  }
+  return messages[0];
+}
+
+// A transaction's messages can't be told apart by nonce before they're attested, so find a burn's
+// message by what it says: the `ordinal`-th one with its destination, recipient and amount
+export function findBurnMessage(messages, { destinationDomain, mintRecipient, amount, ordinal = 0 }) {
+  const candidates = messages.filter((message) => {
+    try {
+      const decoded = decodeMessage(message.message);
+      return (
+        decoded.destinationDomain === Number(destinationDomain) &&
+        BigInt(decoded.burnMessage.mintRecipient) === BigInt(mintRecipient) &&
+        decoded.burnMessage.amount === BigInt(amount)
+      );
+    } catch {
+      return false; // not emitted yet ("0x") or not a burn
+    }
+  });
+  return candidates[ordinal];
+}
+
+// Number burns seen on chain the way findBurnMessage counts them, so each maps to its own message
+export function withOrdinals(burns) {
+  const seen = new Map();
+  return burns.map((burn) => {
+    const key = `${burn.txHash}:${burn.destinationDomain}:${BigInt(burn.mintRecipient)}:${burn.amount}`;
+    const ordinal = seen.get(key) ?? 0;
+    seen.set(key, ordinal + 1);
+    return { ...burn, ordinal };
+  });
+}
+
+// Attested and ready to mint
+export const isAttested = (message) =>
+  message?.status === "complete" && Boolean(message.attestation) && message.attestation !== "PENDING";
+
+export function createIrisClient(options = {}) {
+  const config = { ...IRIS_DEFAULTS, ...irisOptionsFromEnv(), ...options };
+
+  // One lookup. Returns { status, messages, retryAfterMs }; only unexpected 4xx responses throw.
+  async function getMessages(sourceDomain, txHash) {
+    const url = `${config.baseUrl}/v2/messages/${sourceDomain}`;
+    try {
+      const response = await axios.get(url, {
+        params: { transactionHash: txHash },
+        timeout: config.requestTimeoutMs,
+      });
+      return { status: "ok", messages: response.data?.messages ?? [] };
+    } catch (err) {
+      const httpStatus = err.response?.status;
+      if (httpStatus === 404) return { status: "not_found", messages: [] };
+      if (httpStatus === 429) {
+        return {
+          status: "rate_limited",
+          messages: [],
+          retryAfterMs: retryAfterMs(err.response.headers?.["retry-after"]),
+        };
+      }
+      if (httpStatus === undefined || httpStatus >= 500) {
+        return { status: "error", messages: [], error: err };
+      }
+      throw new Error(`Iris rejected ${url}?transactionHash=${txHash}: HTTP ${httpStatus} ${err.message}`);
+    }
+  }
+
+  // Burn fee quotes for a domain pair: [{ finalityThreshold, minimumFee (bps) }, ...]
+  async function getBurnFees(sourceDomain, destinationDomain) {
+    const url = `${config.baseUrl}/v2/burn/USDC/fees/${sourceDomain}/${destinationDomain}`;
+    const response = await axios.get(url, { timeout: config.requestTimeoutMs });
+    return Array.isArray(response.data) ? response.data : response.data?.data ?? [];
+  }
+
+  /**
+   * Poll until the selected message for `txHash` is attested ("complete"), backing off between
+   * attempts, or throw once `timeoutMs` has passed.
+   */
+  async function waitForAttestation(
+    sourceDomain,
+    txHash,
+    { onProgress = () => {}, messageIndex, destinationDomain, timeoutMs = config.timeoutMs } = {},
+  ) {
+    const deadline = Date.now() + timeoutMs;
+    for (let attempt = 0; ; attempt += 1) {
+      const lookup = await getMessages(sourceDomain, txHash);
+      let status = lookup.status;
+      if (lookup.status === "ok") {
+        const message = selectMessage(lookup.messages, { messageIndex, destinationDomain });
+        if (lookup.messages.length > 1 && messageIndex === undefined && destinationDomain === undefined) {
+          onProgress({
+            type: "log",
+            message: `Transaction ${txHash} emitted ${lookup.messages.length} messages; using the first`,
+          });
+        }
+        if (isAttested(message)) {
+          onProgress({ type: "attested", sourceDomain, txHash, attestation: message });
+          return message;
+        }
+        status = message ? message.status : "message_not_found";
+      } else if (lookup.error) {
+        onProgress({ type: "log", message: `Iris polling error: ${lookup.error.message}` });
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        const err = new Error(
+          `Timed out after ${Math.round(timeoutMs / 1000)}s waiting for the Iris attestation of ${txHash} (domain ${sourceDomain}, last status ${status})`,
+        );
+        err.code = "IRIS_TIMEOUT";
+        throw err;
+      }
+      // One last lookup right at the deadline rather than giving up early
+      const delay = Math.min(lookup.retryAfterMs ?? backoffDelay(attempt, config), remaining);
+      onProgress({ type: "attestation-pending", sourceDomain, txHash, status, retryInMs: delay });
+      await sleep(delay);
+    }
+  }
+
+  return { baseUrl: config.baseUrl, getMessages, getBurnFees, waitForAttestation };
+}
+
+// Convenience wrapper around a default client (sandbox unless IRIS_ENV / IRIS_API_URL say otherwise)
+export async function retrieveAttestation(sourceDomain, srcTxHash, options = {}) {
+  return createIrisClient().waitForAttestation(sourceDomain, srcTxHash, options);
+}
@@ -0,0 +1,61 @@
+// Local JSON journal of transfers, so a crash between burn and mint can be resumed
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+export const DEFAULT_JOURNAL_PATH = ".cctp/journal.json";
+
+// Stages a transfer moves through; anything short of "minted" is picked up by resume, except a
+// burn "handed-off" to a destinationCaller other than our signer, which only that caller can mint
+export const STATUS = {
+  burning: "burning",
+  burned: "burned",
+  attested: "attested",
+  minted: "minted",
+  handedOff: "handed-off",
+};
+
+// Write to a temp file and rename, so a crash mid-write never truncates the file
+export function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmp, file);
+}
+
+export function openJournal(file = DEFAULT_JOURNAL_PATH) {
+  const read = () =>
+    fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { transfers: [] };
+  const write = (data) => writeJsonFile(file, data);
+
+  const list = () => read().transfers;
+
+  return {
+    file,
+    list,
+    get: (id) => list().find((entry) => entry.id === id),
+    unfinished: () => list().filter((entry) => entry.status !== STATUS.minted && entry.status !== STATUS.handedOff),
+    create(fields) {
+      const data = read();
+      const now = new Date().toISOString();
+      const entry = {
+        id: crypto.randomUUID(),
+        status: STATUS.burning,
+        createdAt: now,
+        updatedAt: now,
+        ...fields,
+      };
+      data.transfers.push(entry);
+      write(data);
+      return entry;
+    },
+    update(id, patch) {
+      const data = read();
+      const entry = data.transfers.find((candidate) => candidate.id === id);
+      if (!entry) throw new Error(`Transfer ${id} not found in journal ${file}`);
+      Object.assign(entry, patch, { updatedAt: new Date().toISOString() });
+      write(data);
+      return entry;
+    },
+  };
+}
@@ -0,0 +1,110 @@
+// Web3 Secret Storage (v3 keystore JSON): passphrase-encrypted private keys for EVM, Starknet and Solana
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { promisify } from "node:util";
+import { keccak256 } from "viem";
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// geth's "standard" scrypt cost, also what starkli and foundry write
+export const KEYSTORE_SCRYPT = { n: 262144, r: 8, p: 1, dklen: 32 };
+
+const keystoreError = (message, code = "BAD_KEYSTORE") => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const cryptoSection = (keystore) => {
+  const section = keystore?.crypto ?? keystore?.Crypto; // some v3 writers capitalize it
+  if (keystore?.version !== 3 || !section) throw keystoreError("Not a version 3 keystore");
+  return section;
+};
+
+// True for parsed JSON that looks like a v3 keystore (as opposed to, say, a Solana keypair array)
+export const isKeystore = (value) => Boolean(value && typeof value === "object" && (value.crypto || value.Crypto));
+
+async function deriveKey({ kdf, kdfparams: params }, passphrase) {
+  const salt = Buffer.from(params.salt, "hex");
+  if (kdf === "scrypt") {
+    const { n: N, r, p } = params;
+    try {
+      return await scrypt(passphrase, salt, params.dklen, { N, r, p, maxmem: 128 * r * (N + p + 2) });
+    } catch (err) {
+      // OpenSSL also wants N < 2^(16r), which some test keystores (r = 1) don't meet
+      if (err.code !== "ERR_CRYPTO_INVALID_SCRYPT_PARAMS") throw err;
+      throw keystoreError(`Unsupported keystore scrypt parameters (n ${N}, r ${r}, p ${p})`);
+    }
+  }
+  if (kdf === "pbkdf2") {
+    if (params.prf !== "hmac-sha256") throw keystoreError(`Unsupported keystore PRF "${params.prf}"`);
+    return pbkdf2(passphrase, salt, params.c, params.dklen, "sha256");
+  }
+  throw keystoreError(`Unsupported keystore KDF "${kdf}"`);
+}
+
+// keccak256 of the second half of the derived key and the ciphertext, as in geth
+const macOf = (derivedKey, ciphertext) =>
+  Buffer.from(keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext]), "bytes"));
+
+/**
+ * Decrypt a v3 keystore (scrypt or pbkdf2, aes-128-ctr) to the raw private key bytes. A wrong
+ * passphrase fails the MAC check and throws with code "BAD_PASSPHRASE".
+ *
+ * @returns {Promise<Buffer>}
+ */
+export async function decryptKeystore(keystore, passphrase) {
+  const section = cryptoSection(keystore);
+  if (section.cipher !== "aes-128-ctr") throw keystoreError(`Unsupported keystore cipher "${section.cipher}"`);
+  const ciphertext = Buffer.from(section.ciphertext, "hex");
+  const derivedKey = await deriveKey(section, passphrase);
+  const mac = Buffer.from(section.mac, "hex");
+  const expected = macOf(derivedKey, ciphertext);
+  if (mac.length !== expected.length || !crypto.timingSafeEqual(mac, expected)) {
+    throw keystoreError("Wrong keystore passphrase (MAC mismatch)", "BAD_PASSPHRASE");
+  }
+  const decipher = crypto.createDecipheriv("aes-128-ctr", derivedKey.subarray(0, 16), Buffer.from(section.cipherparams.iv, "hex"));
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Encrypt raw private key bytes into a v3 keystore. `address` (EVM only) is stored the way geth
+ * stores it, so other tools can show the account without the passphrase.
+ */
+export async function encryptKeystore(privateKey, passphrase, { address, scrypt: params = KEYSTORE_SCRYPT } = {}) {
+  const kdfparams = { ...params, salt: crypto.randomBytes(32).toString("hex") };
+  const derivedKey = await deriveKey({ kdf: "scrypt", kdfparams }, passphrase);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv("aes-128-ctr", derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey)), cipher.final()]);
+  return {
+    version: 3,
+    id: crypto.randomUUID(),
+    ...(address ? { address: address.toLowerCase().replace(/^0x/, "") } : {}),
+    crypto: {
+      cipher: "aes-128-ctr",
+      ciphertext: ciphertext.toString("hex"),
+      cipherparams: { iv: iv.toString("hex") },
+      kdf: "scrypt",
+      kdfparams,
+      mac: macOf(derivedKey, ciphertext).toString("hex"),
+    },
+  };
+}
+
+export function readKeyFile(file) {
+  if (!fs.existsSync(file)) throw keystoreError(`Key file ${file} not found`, "ENOENT");
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw keystoreError(`Key file ${file} is not JSON: ${err.message}`);
+  }
+}
+
+// Owner-only permissions: the file is encrypted, but there's no reason to let others copy it
+export function writeKeystoreFile(file, keystore) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(keystore, null, 2)}\n`, { mode: 0o600, flag: "wx" });
+}
@@ -0,0 +1,81 @@
+// CCTPv2 message decoding (header + BurnMessage body) and pre-mint validation
+import { Buffer } from "node:buffer";
+import { decodeEnvelope, readBytes32Hex } from "./encoding.js";
+
+// Header: version | sourceDomain | destinationDomain | nonce | sender | recipient |
+//         destinationCaller | minFinalityThreshold | finalityThresholdExecuted | messageBody
+export const HEADER_LENGTH = 148;
+// BurnMessage body: version | burnToken | mintRecipient | amount | messageSender |
+//                   maxFee | feeExecuted | expirationBlock | hookData
+const BURN_MESSAGE_MIN_LENGTH = 228;
+
+const readUint256 = (bytes, offset) => BigInt(readBytes32Hex(bytes, offset));
+const toHex = (bytes) => `0x${Buffer.from(bytes).toString("hex")}`;
+
+export function decodeBurnMessage(body) {
+  if (body.length < BURN_MESSAGE_MIN_LENGTH) {
+    throw new Error(`BurnMessage too short: ${body.length} bytes, need at least ${BURN_MESSAGE_MIN_LENGTH}`);
+  }
+  return {
+    version: body.readUInt32BE(0),
+    burnToken: readBytes32Hex(body, 4),
+    mintRecipient: readBytes32Hex(body, 36),
+    amount: readUint256(body, 68),
+    messageSender: readBytes32Hex(body, 100),
+    maxFee: readUint256(body, 132),
+    feeExecuted: readUint256(body, 164),
+    expirationBlock: readUint256(body, 196),
+    hookData: toHex(body.subarray(BURN_MESSAGE_MIN_LENGTH)),
+  };
+}
+
+// Accepts raw bytes or an Iris envelope string (hex or base64)
+export function decodeMessage(message) {
+  const bytes = typeof message === "string" ? decodeEnvelope(message) : Buffer.from(message);
+  if (bytes.length < HEADER_LENGTH) {
+    throw new Error(`CCTP message too short: ${bytes.length} bytes, need at least ${HEADER_LENGTH}`);
+  }
+  const body = bytes.subarray(HEADER_LENGTH);
+  return {
+    version: bytes.readUInt32BE(0),
+    sourceDomain: bytes.readUInt32BE(4),
+    destinationDomain: bytes.readUInt32BE(8),
+    nonce: readBytes32Hex(bytes, 12),
+    sender: readBytes32Hex(bytes, 44),
+    recipient: readBytes32Hex(bytes, 76),
+    destinationCaller: readBytes32Hex(bytes, 108),
+    minFinalityThreshold: bytes.readUInt32BE(140),
+    finalityThresholdExecuted: bytes.readUInt32BE(144),
+    messageBody: toHex(body),
+    burnMessage: decodeBurnMessage(body),
+  };
+}
+
+/**
+ * Check a decoded message against what we meant to send; throws listing every mismatch.
+ * Only the fields present in `expected` are checked.
+ *
+ * @param {ReturnType<typeof decodeMessage>} decoded
+ * @param {{ sourceDomain?: number, destinationDomain?: number, destinationCaller?: string, mintRecipient?: string, amount?: bigint, hookData?: string }} expected
+ */
+export function validateMessage(decoded, expected) {
+  const mismatches = [];
+  const check = (field, actual, wanted, same = (a, b) => a === b) => {
+    if (wanted !== undefined && !same(actual, wanted)) {
+      mismatches.push(`${field}: message has ${actual}, expected ${wanted}`);
+    }
+  };
+  const sameHex = (a, b) => BigInt(a) === BigInt(b);
+
+  check("sourceDomain", decoded.sourceDomain, expected.sourceDomain);
+  check("destinationDomain", decoded.destinationDomain, expected.destinationDomain);
+  check("destinationCaller", decoded.destinationCaller, expected.destinationCaller, sameHex);
+  check("mintRecipient", decoded.burnMessage.mintRecipient, expected.mintRecipient, sameHex);
+  check("amount", decoded.burnMessage.amount, expected.amount === undefined ? undefined : BigInt(expected.amount));
+  check("hookData", decoded.burnMessage.hookData, expected.hookData?.toLowerCase());
+
+  if (mismatches.length) {
+    throw new Error(`Refusing to mint, CCTP message does not match the transfer:\n  ${mismatches.join("\n  ")}`);
+  }
+  return decoded;
+}
@@ -0,0 +1,345 @@
+// CCTPv2 network profiles (testnet, plus opt-in mainnet), keyed by the name used on the command line (--from / --to)
+import fs from "node:fs";
+import { defineChain } from "viem";
+import { normalizeAddress } from "./address.js";
+import {
+  baseSepolia,
+  sepolia,
+  arbitrumSepolia,
+  optimismSepolia,
+  avalancheFuji,
+  polygonAmoy,
+  base,
+  mainnet,
+  arbitrum,
+  optimism,
+  avalanche,
+  polygon,
+} from "viem/chains";
+import { IRIS_HOSTS } from "./iris.js";
+
+export const DEFAULT_NETWORKS_PATH = ".cctp/networks.json";
+
+const TOKEN_MESSENGER_V2 = "0x8FE6B999Dc680CcFDD5Bf7EB0974218be2542DAA"; // same on all EVM testnets
+const MESSAGE_TRANSMITTER_V2 = "0xE737e5cEBEEBa77EFE34D4aa090756590b1CE275"; // same on all EVM testnets
+const MAINNET_TOKEN_MESSENGER_V2 = "0x28b5a0e9C621a5BadaA536219b3a228C8168cf5d"; // same on all EVM mainnets
+const MAINNET_MESSAGE_TRANSMITTER_V2 = "0x81D40F21F12A8F0E3252Bccb954D722d4c464B64"; // same on all EVM mainnets
+// Solana CCTPv2 programs have the same ids on devnet and mainnet
+const TOKEN_MESSENGER_MINTER_V2_PROGRAM = "CCTPV2vPZJS2u2BBsUoscuikbYjnpFmbFsvVuJdgUMQe";
+const MESSAGE_TRANSMITTER_V2_PROGRAM = "CCTPV2Sm4AdWt5296sk4P66VBZ7bEhcARwFaaS9YPbeC";
+const SOLANA_IDL_BASE_URL = "https://raw.githubusercontent.com/circlefin/solana-cctp-contracts/master/examples/target/idl";
+// Starknet fee tokens share their addresses between Sepolia and mainnet
+const STARKNET_FEE_TOKENS = {
+  STRK: "0x04718f5a0fc34cc1af16a1cdee98ffb20c31f5cd61d6ab07201858f4287c938d",
+  ETH: "0x049d36570d4e46f48e99674bd3fcc84644ddd6b96f7c741b1562b82f9e004dc7",
+};
+
+export const TESTNET_NETWORKS = {
+  "base-sepolia": {
+    kind: "evm",
+    label: "Base Sepolia",
+    domain: 6,
+    chain: baseSepolia,
+    rpcEnv: "BASE_SEPOLIA_RPC",
+    usdc: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+    tokenMessenger: TOKEN_MESSENGER_V2,
+    messageTransmitter: MESSAGE_TRANSMITTER_V2,
+  },
+  "ethereum-sepolia": {
+    kind: "evm",
+    label: "Ethereum Sepolia",
+    domain: 0,
+    chain: sepolia,
+    rpcEnv: "ETHEREUM_SEPOLIA_RPC",
+    usdc: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238",
+    tokenMessenger: TOKEN_MESSENGER_V2,
+    messageTransmitter: MESSAGE_TRANSMITTER_V2,
+  },
+  "arbitrum-sepolia": {
+    kind: "evm",
+    label: "Arbitrum Sepolia",
+    domain: 3,
+    chain: arbitrumSepolia,
+    rpcEnv: "ARBITRUM_SEPOLIA_RPC",
+    usdc: "0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d",
+    tokenMessenger: TOKEN_MESSENGER_V2,
+    messageTransmitter: MESSAGE_TRANSMITTER_V2,
+  },
+  "optimism-sepolia": {
+    kind: "evm",
+    label: "OP Sepolia",
+    domain: 2,
+    chain: optimismSepolia,
+    rpcEnv: "OPTIMISM_SEPOLIA_RPC",
+    usdc: "0x5fd84259d66Cd46123540766Be93DFE6D43130D7",
+    tokenMessenger: TOKEN_MESSENGER_V2,
+    messageTransmitter: MESSAGE_TRANSMITTER_V2,
+  },
+  "avalanche-fuji": {
+    kind: "evm",
+    label: "Avalanche Fuji",
+    domain: 1,
+    chain: avalancheFuji,
+    rpcEnv: "AVALANCHE_FUJI_RPC",
+    usdc: "0x5425890298aed601595a70AB815c96711a31Bc65",
+    tokenMessenger: TOKEN_MESSENGER_V2,
+    messageTransmitter: MESSAGE_TRANSMITTER_V2,
+  },
+  "polygon-amoy": {
+    kind: "evm",
+    label: "Polygon Amoy",
+    domain: 7,
+    chain: polygonAmoy,
+    rpcEnv: "POLYGON_AMOY_RPC",
+    usdc: "0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582",
+    tokenMessenger: TOKEN_MESSENGER_V2,
+    messageTransmitter: MESSAGE_TRANSMITTER_V2,
+  },
+  "solana-devnet": {
+    kind: "solana",
+    label: "Solana devnet",
+    domain: 5,
+    rpcEnv: "SOLANA_RPC",
+    defaultRpc: "https://api.devnet.solana.com",
+    usdc: "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU",
+    tokenMessengerMinter: TOKEN_MESSENGER_MINTER_V2_PROGRAM,
+    messageTransmitter: MESSAGE_TRANSMITTER_V2_PROGRAM,
+    tokenMessengerMinterIdlUrl: `${SOLANA_IDL_BASE_URL}/token_messenger_minter_v2.json`,
+    messageTransmitterIdlUrl: `${SOLANA_IDL_BASE_URL}/message_transmitter_v2.json`,
+  },
+  "starknet-sepolia": {
+    kind: "starknet",
+    label: "Starknet Sepolia",
+    domain: 25,
+    rpcEnv: "STARKNET_RPC",
+    usdc: "0x0512feAc6339Ff7889822cb5aA2a86C848e9D392bB0E3E237C008674feeD8343",
+    tokenMessenger: "0x04bDdE1E09a4B09a2F95d893D94a967b7717eB85A3f6dEcA8c080Ee01fBc3370",
+    messageTransmitter: "0x04db7926C64f1f32a840F3Fa95cB551f3801a3600Bae87aF87807A54DCE12Fe8",
+    usedNoncesEntrypoint: "used_nonces",
+    // Fee tokens accepted for transaction fees
+    feeTokens: STARKNET_FEE_TOKENS,
+  },
+};
+
+// Real funds: only resolvable with CCTP_MAINNET=true (the CLI's --mainnet)
+export const MAINNET_NETWORKS = {
+  "ethereum-mainnet": {
+    kind: "evm",
+    label: "Ethereum",
+    domain: 0,
+    chain: mainnet,
+    rpcEnv: "ETHEREUM_RPC",
+    usdc: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+    tokenMessenger: MAINNET_TOKEN_MESSENGER_V2,
+    messageTransmitter: MAINNET_MESSAGE_TRANSMITTER_V2,
+  },
+  "avalanche-mainnet": {
+    kind: "evm",
+    label: "Avalanche C-Chain",
+    domain: 1,
+    chain: avalanche,
+    rpcEnv: "AVALANCHE_RPC",
+    usdc: "0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E",
+    tokenMessenger: MAINNET_TOKEN_MESSENGER_V2,
+    messageTransmitter: MAINNET_MESSAGE_TRANSMITTER_V2,
+  },
+  "optimism-mainnet": {
+    kind: "evm",
+    label: "OP Mainnet",
+    domain: 2,
+    chain: optimism,
+    rpcEnv: "OPTIMISM_RPC",
+    usdc: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85",
+    tokenMessenger: MAINNET_TOKEN_MESSENGER_V2,
+    messageTransmitter: MAINNET_MESSAGE_TRANSMITTER_V2,
+  },
+  "arbitrum-mainnet": {
+    kind: "evm",
+    label: "Arbitrum One",
+    domain: 3,
+    chain: arbitrum,
+    rpcEnv: "ARBITRUM_RPC",
+    usdc: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831",
+    tokenMessenger: MAINNET_TOKEN_MESSENGER_V2,
+    messageTransmitter: MAINNET_MESSAGE_TRANSMITTER_V2,
+  },
+  "solana-mainnet": {
+    kind: "solana",
+    label: "Solana",
+    domain: 5,
+    rpcEnv: "SOLANA_MAINNET_RPC",
+    defaultRpc: "https://api.mainnet-beta.solana.com",
+    usdc: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v",
+    tokenMessengerMinter: TOKEN_MESSENGER_MINTER_V2_PROGRAM,
+    messageTransmitter: MESSAGE_TRANSMITTER_V2_PROGRAM,
+    tokenMessengerMinterIdlUrl: `${SOLANA_IDL_BASE_URL}/token_messenger_minter_v2.json`,
+    messageTransmitterIdlUrl: `${SOLANA_IDL_BASE_URL}/message_transmitter_v2.json`,
+  },
+  "base-mainnet": {
+    kind: "evm",
+    label: "Base",
+    domain: 6,
+    chain: base,
+    rpcEnv: "BASE_RPC",
+    usdc: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+    tokenMessenger: MAINNET_TOKEN_MESSENGER_V2,
+    messageTransmitter: MAINNET_MESSAGE_TRANSMITTER_V2,
+  },
+  "polygon-mainnet": {
+    kind: "evm",
+    label: "Polygon PoS",
+    domain: 7,
+    chain: polygon,
+    rpcEnv: "POLYGON_RPC",
+    usdc: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359",
+    tokenMessenger: MAINNET_TOKEN_MESSENGER_V2,
+    messageTransmitter: MAINNET_MESSAGE_TRANSMITTER_V2,
+  },
+  // USDC and the CCTP contract addresses aren't pinned here yet; set them in the networks file
+  "starknet-mainnet": {
+    kind: "starknet",
+    label: "Starknet",
+    domain: 25,
+    rpcEnv: "STARKNET_MAINNET_RPC",
+    usedNoncesEntrypoint: "used_nonces",
+    feeTokens: STARKNET_FEE_TOKENS,
+  },
+};
+
+const withIris = (profiles, iris, extra = {}) =>
+  Object.fromEntries(Object.entries(profiles).map(([name, profile]) => [name, { ...profile, ...extra, iris }]));
+
+// Every built-in profile, each carrying the Iris host that attests its messages
+export const NETWORKS = {
+  ...withIris(TESTNET_NETWORKS, IRIS_HOSTS.sandbox),
+  ...withIris(MAINNET_NETWORKS, IRIS_HOSTS.mainnet, { mainnet: true }),
+};
+
+// Fields a profile needs before anything can be sent on it
+const REQUIRED_FIELDS = {
+  evm: ["domain", "chain", "usdc", "tokenMessenger", "messageTransmitter"],
+  solana: ["domain", "usdc", "tokenMessengerMinter", "messageTransmitter"],
+  starknet: ["domain", "usdc", "tokenMessenger", "messageTransmitter", "usedNoncesEntrypoint"],
+};
+
+// Contract and mint addresses, checked against the chain's address format on every lookup
+const ADDRESS_FIELDS = {
+  evm: ["usdc", "tokenMessenger", "messageTransmitter"],
+  solana: ["usdc", "tokenMessengerMinter", "messageTransmitter"],
+  starknet: ["usdc", "tokenMessenger", "messageTransmitter"],
+};
+
+// Per-field env overrides supported by the original per-route scripts
+const ENV_OVERRIDES = {
+  "solana-devnet": {
+    usdc: "SOLANA_USDC_MINT",
+    tokenMessengerMinter: "TOKEN_MESSENGER_MINTER_V2_ID",
+    messageTransmitter: "MESSAGE_TRANSMITTER_V2_ID",
+    tokenMessengerMinterIdlUrl: "TOKEN_MESSENGER_MINTER_V2_IDL_URL",
+    messageTransmitterIdlUrl: "MESSAGE_TRANSMITTER_V2_IDL_URL",
+  },
+  "starknet-sepolia": {
+    usdc: "STARKNET_USDC",
+    tokenMessenger: "STARKNET_TOKEN_MESSENGER",
+    messageTransmitter: "STARKNET_MESSAGE_TRANSMITTER",
+    usedNoncesEntrypoint: "STARKNET_USED_NONCES_ENTRYPOINT",
+  },
+};
+
+export const mainnetEnabled = (env = process.env) => /^(1|true)$/i.test(env.CCTP_MAINNET ?? "");
+
+// A JSON profile: EVM entries name their chain by chainId (plus defaultRpc) instead of a viem chain
+const fromJson = (name, entry, builtIn) => {
+  const profile = { ...builtIn, ...entry };
+  if (!profile.rpcEnv) profile.rpcEnv = `${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_RPC`;
+  if (profile.iris === undefined) profile.iris = profile.mainnet ? IRIS_HOSTS.mainnet : IRIS_HOSTS.sandbox;
+  if (profile.kind === "evm" && entry.chainId !== undefined && entry.chainId !== builtIn?.chain?.id) {
+    profile.chain = defineChain({
+      id: Number(entry.chainId),
+      name: profile.label ?? name,
+      nativeCurrency: entry.nativeCurrency ?? { name: "Ether", symbol: "ETH", decimals: 18 },
+      rpcUrls: { default: { http: profile.defaultRpc ? [profile.defaultRpc] : [] } },
+    });
+  }
+  return profile;
+};
+
+const loaded = new Map(); // networks file path -> { mtimeMs, profiles }
+
+/**
+ * Built-in profiles merged with the networks file (CCTP_NETWORKS, default .cctp/networks.json):
+ * an entry named like a built-in overrides its fields, any other name adds a network.
+ */
+export function listNetworks(env = process.env) {
+  const file = env.CCTP_NETWORKS || DEFAULT_NETWORKS_PATH;
+  if (!fs.existsSync(file)) {
+    if (env.CCTP_NETWORKS) throw new Error(`Networks file ${file} not found`);
+    return NETWORKS;
+  }
+  const { mtimeMs } = fs.statSync(file);
+  const cached = loaded.get(file);
+  if (cached?.mtimeMs === mtimeMs) return cached.profiles;
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid networks file ${file}: ${err.message}`);
+  }
+  const profiles = { ...NETWORKS };
+  for (const [name, entry] of Object.entries(entries)) {
+    const builtIn = NETWORKS[name];
+    if (!builtIn && !REQUIRED_FIELDS[entry.kind]) {
+      throw new Error(`Network "${name}" in ${file} needs a kind: evm, solana or starknet`);
+    }
+    profiles[name] = fromJson(name, entry, builtIn);
+  }
+  loaded.set(file, { mtimeMs, profiles });
+  return profiles;
+}
+
+export function getNetwork(name, env = process.env) {
+  const profiles = listNetworks(env);
+  const base = profiles[name];
+  if (!base) {
+    throw new Error(`Unknown network "${name}". Known networks: ${Object.keys(profiles).join(", ")}`);
+  }
+  if (base.mainnet && !mainnetEnabled(env)) {
+    throw new Error(`${base.label} is a mainnet network and moves real funds; pass --mainnet (or set CCTP_MAINNET=true) to use it`);
+  }
+  const network = { name, ...base, rpc: env[base.rpcEnv] || base.defaultRpc };
+  for (const [field, envName] of Object.entries(ENV_OVERRIDES[name] || {})) {
+    if (env[envName]) network[field] = env[envName];
+  }
+  const missing = REQUIRED_FIELDS[network.kind].filter((field) => network[field] === undefined);
+  if (missing.length) {
+    throw new Error(
+      `Network "${name}" is missing ${missing.join(", ")}; set them in ${env.CCTP_NETWORKS || DEFAULT_NETWORKS_PATH}`,
+    );
+  }
+  for (const field of ADDRESS_FIELDS[network.kind]) {
+    try {
+      normalizeAddress(network.kind, network[field]);
+    } catch (err) {
+      throw new Error(`Network "${name}" ${field}: ${err.message}`);
+    }
+  }
+  return network;
+}
+
+// Domains repeat between testnet and mainnet, so a lookup stays on one side: mainnet only when asked
+// (or when CCTP_MAINNET is set)
+export function getNetworkByDomain(domain, env = process.env, { mainnet = mainnetEnabled(env) } = {}) {
+  const profiles = listNetworks(env);
+  const name = Object.keys(profiles).find(
+    (candidate) => profiles[candidate].domain === Number(domain) && Boolean(profiles[candidate].mainnet) === mainnet,
+  );
+  if (name === undefined) throw new Error(`No known ${mainnet ? "mainnet" : "testnet"} network for CCTP domain ${domain}`);
+  return getNetwork(name, env);
+}
+
+// Accept either a network name or a CCTP domain number
+export const resolveNetwork = (nameOrDomain, env = process.env, options) =>
+  /^\d+$/.test(String(nameOrDomain))
+    ? getNetworkByDomain(nameOrDomain, env, options)
+    : getNetwork(nameOrDomain, env);
@@ -0,0 +1,125 @@
+// Solana rent reclaim: remember the MessageSent event account of each burn and close it once attested
+import fs from "node:fs";
+import * as solana from "./solana.js";
+import { toNetwork, irisFor } from "./bridge.js";
+import { loadSigner } from "./signers.js";
+import { selectMessage, isAttested } from "./iris.js";
+import { writeJsonFile } from "./journal.js";
+
+export const DEFAULT_EVENT_ACCOUNTS_PATH = ".cctp/solana-event-accounts.json";
+
+// Event accounts we paid rent for, with the burn that created them
+export function openEventAccountStore(file = DEFAULT_EVENT_ACCOUNTS_PATH) {
+  const read = () => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { accounts: [] });
+  const write = (data) => writeJsonFile(file, data);
+
+  const list = () => read().accounts;
+
+  return {
+    file,
+    list,
+    get: (address) => list().find((account) => account.address === address),
+    // Unreclaimed accounts; a failed attempt stays open and is tried again on the next sweep
+    open: () => list().filter((account) => !account.reclaimTx && !account.closed),
+    add(fields) {
+      const data = read();
+      if (data.accounts.some((account) => account.address === fields.address)) return undefined;
+      const now = new Date().toISOString();
+      const account = { createdAt: now, updatedAt: now, ...fields };
+      data.accounts.push(account);
+      write(data);
+      return account;
+    },
+    update(address, patch) {
+      const data = read();
+      const account = data.accounts.find((candidate) => candidate.address === address);
+      if (!account) throw new Error(`Event account ${address} not found in ${file}`);
+      Object.assign(account, patch, { updatedAt: new Date().toISOString() });
+      write(data);
+      return account;
+    },
+  };
+}
+
+/**
+ * Sweep the signer's event accounts: the ones remembered in `store` plus any found on chain
+ * with the signer as rent payer. Each one whose burn is attested is closed with
+ * reclaim_event_account; the rest are left for a later sweep. Resolves to one result per account.
+ *
+ * @param {import("./index.js").ReclaimOptions} options
+ * @returns {Promise<import("./index.js").ReclaimResult[]>}
+ */
+export async function reclaimEventAccounts({
+  network = "solana-devnet",
+  signer,
+  passphrase,
+  store = openEventAccountStore(),
+  env = process.env,
+  iris,
+  discover = true,
+  onProgress = () => {},
+} = {}) {
+  const solanaNetwork = toNetwork(network, env);
+  const payer = signer ?? (await loadSigner(solanaNetwork, env, { passphrase }));
+  const owner = payer.publicKey.toBase58();
+  const irisClient = irisFor(iris, env, solanaNetwork);
+
+  const candidates = new Map(
+    store
+      .open()
+      .filter((account) => account.network === solanaNetwork.name && account.rentPayer === owner)
+      .map((account) => [account.address, { address: account.address, burnTx: account.burnTx }]),
+  );
+  if (discover) {
+    try {
+      for (const found of await solana.findEventAccounts(solanaNetwork, owner)) {
+        candidates.set(found.address, { ...candidates.get(found.address), ...found });
+        if (found.burnTx) store.add({ network: solanaNetwork.name, rentPayer: owner, ...found });
+      }
+    } catch (err) {
+      onProgress({ type: "log", message: `Could not list event accounts on chain: ${err.message}` });
+    }
+  }
+
+  const results = [];
+  for (const candidate of candidates.values()) {
+    const result = { address: candidate.address, burnTx: candidate.burnTx };
+    try {
+      const lamports = candidate.lamports ?? (await solana.accountLamports(solanaNetwork, candidate.address));
+      if (lamports === undefined) {
+        // Closed already (reclaimed elsewhere)
+        if (store.get(candidate.address)) store.update(candidate.address, { closed: true });
+        results.push({ ...result, status: "closed" });
+        continue;
+      }
+      result.lamports = lamports;
+      if (!candidate.burnTx) {
+        results.push({ ...result, status: "failed", error: "burn tx not found" });
+        continue;
+      }
+
+      const lookup = await irisClient.getMessages(solanaNetwork.domain, candidate.burnTx);
+      const message = lookup.status === "ok" ? selectMessage(lookup.messages) : undefined;
+      if (!isAttested(message)) {
+        results.push({ ...result, status: "not-attested" });
+        continue;
+      }
+
+      const reclaimTx = await solana.reclaimEventAccount({
+        network: solanaNetwork,
+        signer: payer,
+        eventAccount: candidate.address,
+        attestation: message,
+        env,
+        onProgress,
+      });
+      store.update(candidate.address, { reclaimTx, lamports, error: undefined });
+      onProgress({ type: "reclaimed", chain: solanaNetwork.name, address: candidate.address, txHash: reclaimTx, lamports });
+      results.push({ ...result, status: "reclaimed", reclaimTx });
+    } catch (err) {
+      if (store.get(candidate.address)) store.update(candidate.address, { error: err.message });
+      results.push({ ...result, status: "failed", error: err.message });
+    }
+  }
+  return results;
+}
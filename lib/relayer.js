@@ -0,0 +1,302 @@
+// Relayer: watch source chains for burns to our destination, wait for attestations and mint them
+import fs from "node:fs";
+import { setTimeout as delay } from "node:timers/promises";
+import { ROUTES, toNetwork, irisFor, nonceUsage, assertSameEnvironment, assertDestinationCaller } from "./bridge.js";
+import { loadSigner } from "./signers.js";
+import { findBurnMessage, isAttested, withOrdinals } from "./iris.js";
+import { addressToBytes32 } from "./address.js";
+import { decodeMessage, validateMessage } from "./message.js";
+import { writeJsonFile } from "./journal.js";
+
+export const DEFAULT_RELAY_QUEUE_PATH = ".cctp/relayer.json";
+
+// Where a relayed message is; "pending" means waiting on Iris, "attested" means ready to mint
+export const RELAY_STATUS = {
+  pending: "pending",
+  attested: "attested",
+  minted: "minted",
+  alreadyMinted: "already-minted",
+  failed: "failed",
+};
+
+export const RELAYER_DEFAULTS = {
+  pollIntervalMs: 15_000, // between scans, and between Iris lookups for one message
+  maxAttempts: 5, // failed mints before a message is given up on
+  retryDelayMs: 30_000, // first retry after a failed mint; doubles each time
+  maxRetryDelayMs: 15 * 60_000,
+  attestationTimeoutMs: 6 * 60 * 60_000, // give up on a burn Iris never attests
+};
+
+// Scans per source per tick while catching up, so mints keep flowing during a long backfill
+const MAX_SCAN_PASSES = 10;
+
+// RELAYER_POLL_INTERVAL_MS / RELAYER_MAX_ATTEMPTS tune the defaults; RELAYER_RECIPIENTS and
+// RELAYER_DESTINATION_CALLERS are comma-separated filter sets
+export const relayerOptionsFromEnv = (env = process.env) => {
+  const list = (value) => value.split(",").map((item) => item.trim()).filter(Boolean);
+  return {
+    ...(env.RELAYER_POLL_INTERVAL_MS ? { pollIntervalMs: Number(env.RELAYER_POLL_INTERVAL_MS) } : {}),
+    ...(env.RELAYER_MAX_ATTEMPTS ? { maxAttempts: Number(env.RELAYER_MAX_ATTEMPTS) } : {}),
+    ...(env.RELAYER_RECIPIENTS ? { recipients: list(env.RELAYER_RECIPIENTS) } : {}),
+    ...(env.RELAYER_DESTINATION_CALLERS ? { destinationCallers: list(env.RELAYER_DESTINATION_CALLERS) } : {}),
+  };
+};
+
+// Persistent job queue plus the scan cursor of each source, in one JSON file
+export function openRelayQueue(file = DEFAULT_RELAY_QUEUE_PATH) {
+  const read = () =>
+    fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { cursors: {}, jobs: [] };
+  const write = (data) => writeJsonFile(file, data);
+
+  const list = () => read().jobs;
+
+  return {
+    file,
+    list,
+    get: (id) => list().find((job) => job.id === id),
+    // Jobs waiting on Iris or a mint whose next attempt is due
+    due: (now = Date.now()) =>
+      list().filter(
+        (job) =>
+          (job.status === RELAY_STATUS.pending || job.status === RELAY_STATUS.attested) &&
+          Date.parse(job.nextAttemptAt) <= now,
+      ),
+    cursor: (source) => read().cursors[source],
+    setCursor(source, cursor) {
+      const data = read();
+      data.cursors[source] = cursor;
+      write(data);
+    },
+    // Idempotent: a burn seen twice (e.g. rescanned after a crash) is queued once
+    add(fields) {
+      const data = read();
+      if (data.jobs.some((job) => job.id === fields.id)) return undefined;
+      const now = new Date().toISOString();
+      const job = {
+        status: RELAY_STATUS.pending,
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now,
+        ...fields,
+      };
+      data.jobs.push(job);
+      write(data);
+      return job;
+    },
+    update(id, patch) {
+      const data = read();
+      const job = data.jobs.find((candidate) => candidate.id === id);
+      if (!job) throw new Error(`Job ${id} not found in relay queue ${file}`);
+      Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+      write(data);
+      return job;
+    },
+    // Give failed jobs another round of attempts; resolves to how many were requeued
+    retryFailed() {
+      const data = read();
+      const failed = data.jobs.filter((job) => job.status === RELAY_STATUS.failed);
+      const now = new Date().toISOString();
+      for (const job of failed) {
+        Object.assign(job, {
+          status: job.attestation ? RELAY_STATUS.attested : RELAY_STATUS.pending,
+          attempts: 0,
+          nextAttemptAt: now,
+          createdAt: job.attestation ? job.createdAt : now, // restart the attestation clock
+          updatedAt: now,
+        });
+      }
+      write(data);
+      return failed.length;
+    },
+  };
+}
+
+const sameBytes32 = (a, b) => BigInt(a) === BigInt(b);
+
+/**
+ * Run the relayer: every `pollIntervalMs`, scan each source for burns to `destination` (only
+ * those whose mintRecipient is in `recipients` or destinationCaller is in `destinationCallers`
+ * when either set is given), queue them, and work the due jobs: look the message up on Iris,
+ * then mint it with the destination signer. Failed mints are retried with backoff up to
+ * `maxAttempts`. Runs until `signal` aborts, or for a single pass with `once`.
+ *
+ * @param {import("./index.js").RelayerOptions} options
+ * @returns {Promise<import("./index.js").RelayJob[]>} the queue's jobs when the relayer stops
+ */
+export async function runRelayer(options = {}) {
+  const {
+    destination = "starknet-sepolia",
+    sources = ["base-sepolia", "solana-devnet"],
+    queue = openRelayQueue(),
+    signers = {},
+    passphrase,
+    env = process.env,
+    iris,
+    once = false,
+    signal,
+    onProgress = () => {},
+  } = options;
+  const config = { ...RELAYER_DEFAULTS, ...relayerOptionsFromEnv(env), ...options };
+  const destinationNetwork = toNetwork(destination, env);
+  const mintRoute = ROUTES[destinationNetwork.kind];
+  const destinationSigner = signers[destinationNetwork.kind] ?? (await loadSigner(destinationNetwork, env, { passphrase }));
+  const irisClient = irisFor(iris, env, destinationNetwork);
+  const sourceNetworks = sources.map((source) => toNetwork(source, env));
+  for (const network of sourceNetworks) {
+    if (!ROUTES[network.kind].findBurns) throw new Error(`Watching ${network.label} for burns is not supported`);
+    assertSameEnvironment(network, destinationNetwork);
+  }
+
+  const recipients = (config.recipients ?? []).map((address) => mintRoute.toMintRecipient(destinationNetwork, address));
+  const callers = (config.destinationCallers ?? []).map((address) => addressToBytes32(destinationNetwork.kind, address));
+  const filtered = recipients.length > 0 || callers.length > 0;
+  const wanted = (burn) =>
+    !filtered ||
+    recipients.some((recipient) => sameBytes32(recipient, burn.mintRecipient)) ||
+    callers.some((caller) => sameBytes32(caller, burn.destinationCaller));
+
+  const report = (job, detail) =>
+    onProgress({ type: "relay", id: job.id, status: job.status, txHash: job.txHash, ...(detail ? { detail } : {}) });
+
+  async function scan(sourceNetwork) {
+    const { findBurns } = ROUTES[sourceNetwork.kind];
+    for (let pass = 0; pass < MAX_SCAN_PASSES; pass += 1) {
+      const { burns, cursor, caughtUp } = await findBurns(sourceNetwork, queue.cursor(sourceNetwork.name), {
+        env,
+        onProgress,
+      });
+      for (const { ordinal, ...burn } of withOrdinals(burns)) {
+        if (burn.destinationDomain !== destinationNetwork.domain || !wanted(burn)) continue;
+
+        const job = queue.add({
+          id: `${sourceNetwork.name}:${burn.txHash}:${ordinal}`,
+          source: sourceNetwork.name,
+          sourceDomain: sourceNetwork.domain,
+          txHash: burn.txHash,
+          ordinal,
+          destinationDomain: burn.destinationDomain,
+          mintRecipient: burn.mintRecipient,
+          destinationCaller: burn.destinationCaller,
+          amount: burn.amount.toString(),
+        });
+        if (job) report(job, `burn of ${burn.amount} on ${sourceNetwork.label}`);
+      }
+      if (cursor !== undefined) queue.setCursor(sourceNetwork.name, cursor);
+      if (caughtUp) return;
+    }
+  }
+
+  const retryLater = (job, err) => {
+    const attempts = job.attempts + 1;
+    if (attempts >= config.maxAttempts) {
+      report(queue.update(job.id, { status: RELAY_STATUS.failed, attempts, error: err.message }), err.message);
+      return;
+    }
+    const wait = Math.min(config.maxRetryDelayMs, config.retryDelayMs * 2 ** (attempts - 1));
+    const retried = queue.update(job.id, {
+      attempts,
+      error: err.message,
+      nextAttemptAt: new Date(Date.now() + wait).toISOString(),
+    });
+    report(retried, `attempt ${attempts} failed (${err.message}); retrying in ${Math.round(wait / 1000)}s`);
+  };
+
+  // Look the message up once; still pending just means "check again next poll"
+  async function checkAttestation(job) {
+    const lookup = await irisClient.getMessages(job.sourceDomain, job.txHash);
+    if (lookup.error) onProgress({ type: "log", message: `Iris lookup for ${job.txHash} failed: ${lookup.error.message}` });
+    const message = lookup.status === "ok" ? findBurnMessage(lookup.messages, job) : undefined;
+    if (isAttested(message)) {
+      const attested = queue.update(job.id, {
+        status: RELAY_STATUS.attested,
+        attestation: { message: message.message, attestation: message.attestation },
+        nextAttemptAt: new Date().toISOString(),
+      });
+      report(attested);
+      return attested;
+    }
+    if (Date.now() - Date.parse(job.createdAt) > config.attestationTimeoutMs) {
+      const detail = `no attestation after ${Math.round(config.attestationTimeoutMs / 60_000)} minutes`;
+      report(queue.update(job.id, { status: RELAY_STATUS.failed, error: detail }), detail);
+      return undefined;
+    }
+    const wait = lookup.retryAfterMs ?? config.pollIntervalMs;
+    queue.update(job.id, { nextAttemptAt: new Date(Date.now() + wait).toISOString() });
+    return undefined;
+  }
+
+  async function mint(job) {
+    let decoded;
+    try {
+      decoded = validateMessage(decodeMessage(job.attestation.message), {
+        sourceDomain: job.sourceDomain,
+        destinationDomain: destinationNetwork.domain,
+        mintRecipient: job.mintRecipient,
+        amount: job.amount,
+      });
+    } catch (err) {
+      // Retrying won't change what the message says
+      report(queue.update(job.id, { status: RELAY_STATUS.failed, error: err.message }), err.message);
+      return;
+    }
+    const usage = await nonceUsage(destinationNetwork, decoded, onProgress);
+    if (usage.used) {
+      const patch = { status: RELAY_STATUS.alreadyMinted, nonce: decoded.nonce, mintTx: usage.redeemTx, error: undefined };
+      report(queue.update(job.id, patch));
+      return;
+    }
+    try {
+      assertDestinationCaller(destinationNetwork, destinationSigner, decoded);
+    } catch (err) {
+      // Only the destinationCaller can mint it; our signer never will
+      report(queue.update(job.id, { status: RELAY_STATUS.failed, nonce: decoded.nonce, error: err.message }), err.message);
+      return;
+    }
+    try {
+      const mintTx = await mintRoute.mint({
+        network: destinationNetwork,
+        signer: destinationSigner,
+        attestation: job.attestation,
+        env,
+        onProgress,
+      });
+      report(queue.update(job.id, { status: RELAY_STATUS.minted, nonce: decoded.nonce, mintTx, error: undefined }), mintTx);
+    } catch (err) {
+      // Someone else may have minted it in the meantime
+      const raced = await nonceUsage(destinationNetwork, decoded, onProgress);
+      if (raced.used) {
+        const patch = { status: RELAY_STATUS.alreadyMinted, nonce: decoded.nonce, mintTx: raced.redeemTx, error: undefined };
+        report(queue.update(job.id, patch));
+      } else {
+        retryLater(job, err);
+      }
+    }
+  }
+
+  onProgress({
+    type: "log",
+    message: `Relaying burns from ${sourceNetworks.map(({ label }) => label).join(", ")} to ${destinationNetwork.label}${filtered ? " (filtered)" : ""}; queue ${queue.file}`,
+  });
+  while (!signal?.aborted) {
+    for (const sourceNetwork of sourceNetworks) {
+      try {
+        await scan(sourceNetwork);
+      } catch (err) {
+        onProgress({ type: "log", message: `Scanning ${sourceNetwork.label} failed: ${err.message}` });
+      }
+    }
+    for (const due of queue.due()) {
+      if (signal?.aborted) break;
+      try {
+        const job = due.status === RELAY_STATUS.pending ? await checkAttestation(due) : due;
+        if (job) await mint(job);
+      } catch (err) {
+        retryLater(due, err);
+      }
+    }
+    if (once) break;
+    await delay(config.pollIntervalMs, undefined, { signal }).catch(() => {});
+  }
+  return queue.list();
+}
@@ -0,0 +1,190 @@
+// Load the signer for a network's chain kind: an external signer module, an encrypted keystore, or a key in .env
+import path from "node:path";
+import { Buffer } from "node:buffer";
+import { pathToFileURL } from "node:url";
+import { Keypair, PublicKey, VersionedTransaction } from "@solana/web3.js";
+import bs58 from "bs58";
+import { privateKeyToAccount, toAccount } from "viem/accounts";
+import { RpcProvider, Account, Signer } from "starknet";
+import { decryptKeystore, isKeystore, readKeyFile } from "./keystore.js";
+
+const withHexPrefix = (key) => (key.startsWith("0x") ? key : `0x${key}`);
+
+// Per kind: the variable naming its key file and the one holding that file's passphrase
+export const KEYSTORE_ENV = {
+  evm: { file: "EVM_KEYSTORE", passphrase: "EVM_KEYSTORE_PASSWORD" },
+  starknet: { file: "STARKNET_KEYSTORE", passphrase: "STARKNET_KEYSTORE_PASSWORD" },
+  solana: { file: "SOLANA_KEYPAIR", passphrase: "SOLANA_KEYPAIR_PASSWORD" },
+};
+
+// The kind's passphrase variable, then KEYSTORE_PASSWORD, then the `passphrase` callback (the CLI prompts)
+async function keystorePassphrase(kind, file, env, passphrase) {
+  const fromEnv = env[KEYSTORE_ENV[kind].passphrase] ?? env.KEYSTORE_PASSWORD;
+  if (fromEnv !== undefined) return fromEnv;
+  if (passphrase) return passphrase({ kind, file });
+  const err = new Error(`the key file is encrypted; set ${KEYSTORE_ENV[kind].passphrase} or KEYSTORE_PASSWORD`);
+  err.code = "PASSPHRASE_REQUIRED";
+  throw err;
+}
+
+async function decryptKeyFile(kind, content, file, env, passphrase) {
+  try {
+    return await decryptKeystore(content, await keystorePassphrase(kind, file, env, passphrase));
+  } catch (err) {
+    err.message = `${file}: ${err.message}`;
+    throw err;
+  }
+}
+
+async function loadEvmSigner(network, env, passphrase) {
+  const file = env[KEYSTORE_ENV.evm.file];
+  if (file) {
+    const key = await decryptKeyFile("evm", readKeyFile(file), file, env, passphrase);
+    return privateKeyToAccount(`0x${key.toString("hex")}`);
+  }
+  if (!env.PRIVATE_KEY) throw new Error("Set EVM_KEYSTORE (keystore JSON) or PRIVATE_KEY (EVM) in .env");
+  return privateKeyToAccount(withHexPrefix(env.PRIVATE_KEY));
+}
+
+const starknetAccount = (network, address, signer) =>
+  new Account({ provider: new RpcProvider({ nodeUrl: network.rpc }), address: address.toLowerCase(), signer });
+
+async function loadStarknetSigner(network, env, passphrase) {
+  const file = env[KEYSTORE_ENV.starknet.file];
+  if (!env.STARKNET_ACCOUNT_ADDRESS || (!file && !env.STARKNET_PRIVATE_KEY)) {
+    throw new Error("Set STARKNET_ACCOUNT_ADDRESS and STARKNET_KEYSTORE (keystore JSON) or STARKNET_PRIVATE_KEY in .env");
+  }
+  const key = file
+    ? `0x${(await decryptKeyFile("starknet", readKeyFile(file), file, env, passphrase)).toString("hex")}`
+    : withHexPrefix(env.STARKNET_PRIVATE_KEY);
+  return starknetAccount(network, env.STARKNET_ACCOUNT_ADDRESS, key);
+}
+
+// SOLANA_KEYPAIR is a solana-keygen file (a JSON array of the 64 secret key bytes) or a keystore
+async function loadSolanaSigner(network, env, passphrase) {
+  const file = env[KEYSTORE_ENV.solana.file];
+  if (file) {
+    const content = readKeyFile(file);
+    if (!isKeystore(content)) return Keypair.fromSecretKey(Uint8Array.from(content));
+    const secret = await decryptKeyFile("solana", content, file, env, passphrase);
+    return secret.length === 32 ? Keypair.fromSeed(secret) : Keypair.fromSecretKey(secret);
+  }
+  if (!env.SOLANA_PRIVATE_KEY_B58) throw new Error("Set SOLANA_KEYPAIR (keypair or keystore JSON) or SOLANA_PRIVATE_KEY_B58 in .env");
+  return Keypair.fromSecretKey(bs58.decode(env.SOLANA_PRIVATE_KEY_B58));
+}
+
+const LOADERS = {
+  evm: loadEvmSigner,
+  starknet: loadStarknetSigner,
+  solana: loadSolanaSigner,
+};
+
+// The plaintext key .env (or a plain SOLANA_KEYPAIR file) holds for `kind`, as bytes, so it can be
+// moved into a keystore
+export function readPlaintextKey(kind, env = process.env) {
+  if (kind === "evm" && env.PRIVATE_KEY) return Buffer.from(env.PRIVATE_KEY.replace(/^0x/, ""), "hex");
+  if (kind === "starknet" && env.STARKNET_PRIVATE_KEY) {
+    return Buffer.from(BigInt(withHexPrefix(env.STARKNET_PRIVATE_KEY)).toString(16).padStart(64, "0"), "hex");
+  }
+  if (kind === "solana" && env.SOLANA_PRIVATE_KEY_B58) return Buffer.from(bs58.decode(env.SOLANA_PRIVATE_KEY_B58));
+  if (kind === "solana" && env.SOLANA_KEYPAIR) {
+    const content = readKeyFile(env.SOLANA_KEYPAIR);
+    if (!isKeystore(content)) return Buffer.from(content);
+  }
+  const variable = { evm: "PRIVATE_KEY", starknet: "STARKNET_PRIVATE_KEY", solana: "SOLANA_PRIVATE_KEY_B58" }[kind];
+  if (!variable) throw new Error(`Unknown chain kind "${kind}"`);
+  throw new Error(`No plaintext ${kind} key to encrypt; set ${variable}`);
+}
+
+// External signers: the key stays with the callbacks (a KMS, an HSM, a remote wallet)
+
+const unsupported = (what) => async () => {
+  throw new Error(`This external signer does not implement ${what}`);
+};
+
+/**
+ * An EVM signer backed by callbacks, as a viem custom account. `signTransaction` returns the
+ * serialized signed transaction (see viem `toAccount`); `signTypedData` and `signMessage` are
+ * optional, since no transfer step needs them.
+ */
+export function externalEvmSigner({ address, signTransaction, signTypedData, signMessage }) {
+  return toAccount({
+    address,
+    signTransaction,
+    signTypedData: signTypedData ?? unsupported("signTypedData"),
+    signMessage: signMessage ?? unsupported("signMessage"),
+  });
+}
+
+/**
+ * A Solana signer backed by `signMessage(messageBytes)`, which returns the 64-byte ed25519
+ * signature. The result has the wallet interface (publicKey, signTransaction,
+ * signAllTransactions) that Anchor and wallet adapters use.
+ */
+export function externalSolanaSigner({ publicKey, signMessage }) {
+  const key = new PublicKey(publicKey);
+  const signTransaction = async (tx) => {
+    const message = tx instanceof VersionedTransaction ? tx.message.serialize() : tx.serializeMessage();
+    tx.addSignature(key, Buffer.from(await signMessage(message)));
+    return tx;
+  };
+  return {
+    publicKey: key,
+    signTransaction,
+    signAllTransactions: (txs) => Promise.all(txs.map(signTransaction)),
+  };
+}
+
+// starknet.js signs every transaction type by hashing it and calling signRaw
+class CallbackStarknetSigner extends Signer {
+  constructor(publicKey, signHash) {
+    super();
+    this.publicKey = publicKey;
+    this.signHash = signHash;
+  }
+
+  async getPubKey() {
+    if (!this.publicKey) throw new Error("This external Starknet signer has no publicKey");
+    return this.publicKey;
+  }
+
+  async signRaw(msgHash) {
+    return this.signHash(msgHash);
+  }
+}
+
+/**
+ * A Starknet account whose transaction hashes are signed by `signHash(hash)`, which returns the
+ * signature (e.g. [r, s]) the account contract expects.
+ */
+export function externalStarknetSigner(network, { address, publicKey, signHash }) {
+  return starknetAccount(network, address, new CallbackStarknetSigner(publicKey, signHash));
+}
+
+const EXTERNAL = {
+  evm: (network, callbacks) => externalEvmSigner(callbacks),
+  starknet: externalStarknetSigner,
+  solana: (network, callbacks) => externalSolanaSigner(callbacks),
+};
+
+// CCTP_SIGNER_MODULE names an ES module exporting `evm`, `solana` and/or `starknet` callback objects
+async function loadExternalSigner(network, env) {
+  if (!env.CCTP_SIGNER_MODULE) return undefined;
+  const module = await import(pathToFileURL(path.resolve(env.CCTP_SIGNER_MODULE)).href);
+  return module[network.kind] ? EXTERNAL[network.kind](network, module[network.kind]) : undefined;
+}
+
+/**
+ * The signer for a network's chain kind, from the first source configured: the callbacks
+ * CCTP_SIGNER_MODULE exports for that kind, the key file (EVM_KEYSTORE, STARKNET_KEYSTORE,
+ * SOLANA_KEYPAIR), then the plaintext key in .env. Encrypted key files are unlocked with the
+ * kind's passphrase variable, KEYSTORE_PASSWORD, or else the `passphrase` callback.
+ */
+export async function loadSigner(network, env = process.env, { passphrase } = {}) {
+  return (await loadExternalSigner(network, env)) ?? LOADERS[network.kind](network, env, passphrase);
+}
+
+// Address of a signer, as printed and used as the default recipient
+export function signerAddress(network, signer) {
+  return network.kind === "solana" ? signer.publicKey.toBase58() : signer.address;
+}
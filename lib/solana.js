@@ -0,0 +1,752 @@
+// Solana side of CCTPv2: deposit_for_burn on TokenMessengerMinterV2, receive_message on MessageTransmitterV2
+import { Buffer } from "node:buffer";
+import crypto from "node:crypto";
+import * as anchor from "@coral-xyz/anchor";
+import { BN } from "bn.js";
+import {
+  PublicKey,
+  Keypair,
+  SystemProgram,
+  Connection,
+  Transaction,
+  TransactionInstruction,
+  LAMPORTS_PER_SOL,
+} from "@solana/web3.js";
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+} from "@solana/spl-token";
+import { decodeEnvelope } from "./encoding.js";
+import { sendSolanaTransaction } from "./solanatx.js";
+import { loadIdl } from "./solanaidl.js";
+import { normalizeSolanaAddress } from "./address.js";
+import { decodeMessage } from "./message.js";
+import { formatUsdcAmount } from "./amount.js";
+
+// Enough for tx fees plus rent on the burn's event account or the mint's nonce/ATA accounts
+const MIN_PREFLIGHT_LAMPORTS = 10_000_000;
+const SIGNATURE_PAGE_SIZE = 1000; // getSignaturesForAddress maximum
+
+// ===== Helpers =====
+const u32ToLeBuffer = (num) => {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(num);
+  return buf;
+};
+
+const programIdsFor = (network) => ({
+  tokenMessengerMinterProgramId: new PublicKey(network.tokenMessengerMinter),
+  messageTransmitterProgramId: new PublicKey(network.messageTransmitter),
+});
+
+// An external signer already has the wallet interface Anchor wants; a Keypair gets wrapped
+const providerFor = (network, signer) => {
+  const connection = new Connection(network.rpc, "confirmed");
+  return new anchor.AnchorProvider(connection, signer.secretKey ? new anchor.Wallet(signer) : signer, {
+    preflightCommitment: "confirmed",
+  });
+};
+
+// Map IDL account names to pubkeys, keeping the IDL's order and signer/writable flags.
+const accountMetasFromIdl = (ixDef, accountMap) =>
+  ixDef.accounts.map((acct) => {
+    const pubkey = accountMap[acct.name];
+    if (!pubkey) throw new Error(`Missing account mapping for ${acct.name}`);
+    const isWritable = acct.isMut ?? acct.writable ?? false;
+    const isSigner = acct.isSigner ?? acct.signer ?? false;
+    return { pubkey, isWritable, isSigner };
+  });
+
+// IDL account name → pubkey, for dry-run reports
+const accountNames = (ixDef, keys) =>
+  Object.fromEntries(ixDef.accounts.map((acct, i) => [acct.name, keys[i].pubkey.toBase58()]));
+
+// Minimal PDA derivations needed for deposit_for_burn.
+export const findProgramAddress = (label, programId, extraSeeds = []) => {
+  const seeds = [Buffer.from(anchor.utils.bytes.utf8.encode(label))];
+  extraSeeds.forEach((seed) => {
+    if (typeof seed === "string") {
+      seeds.push(Buffer.from(anchor.utils.bytes.utf8.encode(seed)));
+    } else if (Array.isArray(seed)) {
+      seeds.push(Buffer.from(seed));
+    } else if (Buffer.isBuffer(seed)) {
+      seeds.push(seed);
+    } else {
+      seeds.push(seed.toBuffer());
+    }
+  });
+  const [publicKey, bump] = PublicKey.findProgramAddressSync(seeds, programId);
+  return { publicKey, bump };
+};
+
+export const getDepositForBurnPdasV2 = (usdcMint, ownerPk, programIds) => {
+  const { tokenMessengerMinterProgramId, messageTransmitterProgramId } = programIds;
+  const messageTransmitterAccount = findProgramAddress("message_transmitter", messageTransmitterProgramId);
+  const tokenMessengerAccount = findProgramAddress(
+    "token_messenger",
+    tokenMessengerMinterProgramId,
+  );
+  const tokenMinterAccount = findProgramAddress("token_minter", tokenMessengerMinterProgramId);
+  const localToken = findProgramAddress(
+    "local_token",
+    tokenMessengerMinterProgramId,
+    [usdcMint.toBuffer()],
+  );
+  const authorityPda = findProgramAddress("sender_authority", tokenMessengerMinterProgramId);
+  const denylistAccount = findProgramAddress(
+    "denylist_account",
+    tokenMessengerMinterProgramId,
+    [ownerPk.toBuffer()],
+  );
+  return {
+    messageTransmitterAccount,
+    tokenMessengerAccount,
+    tokenMinterAccount,
+    localToken,
+    authorityPda,
+    denylistAccount,
+  };
+};
+
+// PDA derivations needed for receive_message, including the TokenMessengerMinterV2
+// remaining accounts that handle_receive_message expects.
+export const getReceiveMessagePdasV2 = (usdcMint, remoteUsdcAddressHex, remoteDomain, nonceHex, programIds) => {
+  const { tokenMessengerMinterProgramId, messageTransmitterProgramId } = programIds;
+  const messageTransmitterAccount = findProgramAddress("message_transmitter", messageTransmitterProgramId);
+  const authorityPda = findProgramAddress(
+    "message_transmitter_authority",
+    messageTransmitterProgramId,
+    [tokenMessengerMinterProgramId],
+  );
+  const usedNonce = findProgramAddress(
+    "used_nonce",
+    messageTransmitterProgramId,
+    [Buffer.from(nonceHex.replace(/^0x/, ""), "hex")],
+  );
+  const tokenMessengerAccount = findProgramAddress("token_messenger", tokenMessengerMinterProgramId);
+  const tokenMinterAccount = findProgramAddress("token_minter", tokenMessengerMinterProgramId);
+  const localToken = findProgramAddress(
+    "local_token",
+    tokenMessengerMinterProgramId,
+    [usdcMint.toBuffer()],
+  );
+  // Domains are seeded as their decimal string, not as u32 bytes.
+  const remoteTokenMessengerKey = findProgramAddress(
+    "remote_token_messenger",
+    tokenMessengerMinterProgramId,
+    [remoteDomain.toString()],
+  );
+  const remoteTokenKey = new PublicKey(Buffer.from(remoteUsdcAddressHex.replace(/^0x/, ""), "hex"));
+  const tokenPair = findProgramAddress(
+    "token_pair",
+    tokenMessengerMinterProgramId,
+    [remoteDomain.toString(), remoteTokenKey],
+  );
+  const custodyTokenAccount = findProgramAddress(
+    "custody",
+    tokenMessengerMinterProgramId,
+    [usdcMint.toBuffer()],
+  );
+  const tokenMessengerEventAuthority = findProgramAddress("__event_authority", tokenMessengerMinterProgramId);
+  const messageTransmitterEventAuthority = findProgramAddress("__event_authority", messageTransmitterProgramId);
+  return {
+    messageTransmitterAccount,
+    authorityPda,
+    usedNonce,
+    tokenMessengerAccount,
+    tokenMinterAccount,
+    localToken,
+    remoteTokenMessengerKey,
+    tokenPair,
+    custodyTokenAccount,
+    tokenMessengerEventAuthority,
+    messageTransmitterEventAuthority,
+  };
+};
+
+// The fee recipient lives on the TokenMessenger account; mints pay fees to its USDC ATA.
+export async function getFeeRecipientTokenAccount(connection, tokenMessengerAccount, usdcMint, tokenMessengerIdl) {
+  const info = await connection.getAccountInfo(tokenMessengerAccount);
+  if (!info) throw new Error(`TokenMessenger account ${tokenMessengerAccount.toBase58()} not found`);
+  const coder = new anchor.BorshAccountsCoder(tokenMessengerIdl);
+  const decoded = coder.decode("TokenMessenger", info.data);
+  const feeRecipient = decoded.fee_recipient ?? decoded.feeRecipient;
+  return getAssociatedTokenAddressSync(usdcMint, feeRecipient, true);
+}
+
+const remoteTokenMessengerDiscriminator = crypto
+  .createHash("sha256")
+  .update("account:RemoteTokenMessenger")
+  .digest()
+  .slice(0, 8);
+
+const messageSentDiscriminator = crypto
+  .createHash("sha256")
+  .update("account:MessageSent")
+  .digest()
+  .slice(0, 8);
+
+async function getRemoteTokenMessengerAccount(network, connection, programId, domain, tokenMessengerIdl, onProgress) {
+  const coder = new anchor.BorshAccountsCoder(tokenMessengerIdl);
+  const filters = [
+    { memcmp: { offset: 0, bytes: anchor.utils.bytes.bs58.encode(remoteTokenMessengerDiscriminator) } },
+    { memcmp: { offset: 8, bytes: anchor.utils.bytes.bs58.encode(u32ToLeBuffer(domain)) } },
+  ];
+
+  // Try current RPC first; fall back to the network's public RPC if getProgramAccounts is blocked
+  // (never another cluster's, whose program accounts would be the wrong ones)
+  const fallback = !network.defaultRpc || connection.rpcEndpoint === network.defaultRpc
+    ? []
+    : [new Connection(network.defaultRpc, "confirmed")];
+  const candidates = [connection, ...fallback];
+
+  for (const conn of candidates) {
+    try {
+      const accounts = await conn.getProgramAccounts(programId, { filters });
+      if (accounts.length) {
+        const decoded = coder.decode("RemoteTokenMessenger", accounts[0].account.data);
+        return { pubkey: accounts[0].pubkey, decoded };
+      }
+    } catch (err) {
+      onProgress({ type: "log", message: `getProgramAccounts failed on ${conn.rpcEndpoint}: ${err.message}` });
+    }
+  }
+
+  throw new Error(
+    `RemoteTokenMessenger account for domain ${domain} not found. Ensure destination domain is registered on Solana.`,
+  );
+}
+
+// Resolve the USDC token account to burn from: SOLANA_USDC_ACCOUNT if set, else the wallet's ATA.
+async function resolveBurnTokenAccount(connection, usdcMint, owner, envTokenAccountAddress, onProgress) {
+  const derivedAta = getAssociatedTokenAddressSync(usdcMint, owner);
+  const envTokenAccount = envTokenAccountAddress ? new PublicKey(envTokenAccountAddress) : null;
+
+  // Prefer env account; fall back to ATA. If env points to mint, switch to ATA.
+  let userTokenAccount = envTokenAccount || derivedAta;
+  if (envTokenAccount) {
+    const info = await connection.getAccountInfo(envTokenAccount);
+    const looksLikeMint = info?.data?.length === 82 && info?.owner?.equals(TOKEN_PROGRAM_ID);
+    if (looksLikeMint) {
+      onProgress({ type: "log", message: "Provided SOLANA_USDC_ACCOUNT is a mint; switching to ATA for wallet." });
+      userTokenAccount = derivedAta;
+    }
+  } else {
+    onProgress({ type: "log", message: "No SOLANA_USDC_ACCOUNT provided; using derived ATA for wallet." });
+  }
+
+  const parsedAccount = await connection.getParsedAccountInfo(userTokenAccount);
+  const tokenInfo = parsedAccount.value?.data?.parsed?.info;
+  if (!tokenInfo) {
+    throw new Error(`Token account ${userTokenAccount.toBase58()} is not a parsed SPL token account.`);
+  }
+  if (tokenInfo.mint !== usdcMint.toBase58()) {
+    throw new Error(
+      `Token account ${userTokenAccount.toBase58()} mint ${tokenInfo.mint} does not match USDC mint ${usdcMint.toBase58()}.`,
+    );
+  }
+  return userTokenAccount;
+}
+
+// Assemble the deposit_for_burn transaction; shared by the live burn and the dry run
+async function buildDepositForBurn({ network, signer, env = process.env, onProgress = () => {}, ...params }) {
+  const provider = providerFor(network, signer);
+  const { connection } = provider;
+  const owner = signer.publicKey;
+  const programIds = programIdsFor(network);
+  const tokenMessengerIdl = await loadIdl(network, "tokenMessengerMinter", provider, { env, onProgress });
+
+  const usdcMint = new PublicKey(network.usdc);
+  // SOLANA_CREATE_ATA=true: create a missing wallet ATA in the burn tx (idempotently) instead of failing
+  const derivedAta = getAssociatedTokenAddressSync(usdcMint, owner);
+  const createAta =
+    !env.SOLANA_USDC_ACCOUNT &&
+    /^(1|true)$/i.test(env.SOLANA_CREATE_ATA ?? "") &&
+    !(await connection.getAccountInfo(derivedAta));
+  if (createAta) onProgress({ type: "log", message: `Creating USDC ATA ${derivedAta.toBase58()} in the burn tx` });
+  const userTokenAccount = createAta
+    ? derivedAta
+    : await resolveBurnTokenAccount(connection, usdcMint, owner, env.SOLANA_USDC_ACCOUNT, onProgress);
+  const mintRecipient = new PublicKey(Buffer.from(params.mintRecipient.replace(/^0x/, ""), "hex"));
+  const destinationCaller = new PublicKey(Buffer.from(params.destinationCaller.replace(/^0x/, ""), "hex"));
+  const messageSentEventAccount = Keypair.generate();
+
+  const pdas = getDepositForBurnPdasV2(usdcMint, owner, programIds);
+
+  const remoteTokenMessenger = await getRemoteTokenMessengerAccount(
+    network,
+    connection,
+    programIds.tokenMessengerMinterProgramId,
+    params.destinationDomain,
+    tokenMessengerIdl,
+    onProgress,
+  );
+  onProgress({ type: "log", message: `Remote token messenger PDA: ${remoteTokenMessenger.pubkey.toBase58()}` });
+
+  const [eventAuthority] = PublicKey.findProgramAddressSync(
+    [Buffer.from("__event_authority")],
+    programIds.tokenMessengerMinterProgramId,
+  );
+
+  // Hook data switches to deposit_for_burn_with_hook, which takes the same accounts
+  const hookData = Buffer.from((params.hookData ?? "0x").replace(/^0x/, ""), "hex");
+  const instruction = hookData.length ? "deposit_for_burn_with_hook" : "deposit_for_burn";
+  const ixDef = tokenMessengerIdl.instructions.find((ix) => ix.name === instruction);
+  if (!ixDef) throw new Error(`${instruction} instruction not found in IDL`);
+
+  // Manually encode instruction data and accounts to avoid Anchor client issues.
+  const ixCoder = new anchor.BorshInstructionCoder(tokenMessengerIdl);
+  const data = ixCoder.encode(instruction, {
+    params: {
+      amount: new BN(params.amount.toString()),
+      destination_domain: params.destinationDomain,
+      mint_recipient: mintRecipient,
+      destination_caller: destinationCaller,
+      max_fee: new BN(params.maxFee.toString()),
+      min_finality_threshold: params.minFinalityThreshold,
+      ...(hookData.length ? { hook_data: hookData } : {}),
+    },
+  });
+
+  const keys = accountMetasFromIdl(ixDef, {
+    owner,
+    event_rent_payer: owner,
+    event_authority: eventAuthority,
+    sender_authority_pda: pdas.authorityPda.publicKey,
+    burn_token_account: userTokenAccount,
+    denylist_account: pdas.denylistAccount.publicKey,
+    message_transmitter: pdas.messageTransmitterAccount.publicKey,
+    token_messenger: pdas.tokenMessengerAccount.publicKey,
+    remote_token_messenger: remoteTokenMessenger.pubkey,
+    token_minter: pdas.tokenMinterAccount.publicKey,
+    local_token: pdas.localToken.publicKey,
+    burn_token_mint: usdcMint,
+    message_sent_event_data: messageSentEventAccount.publicKey,
+    message_transmitter_program: programIds.messageTransmitterProgramId,
+    token_messenger_minter_program: programIds.tokenMessengerMinterProgramId,
+    program: programIds.tokenMessengerMinterProgramId,
+    token_program: TOKEN_PROGRAM_ID,
+    system_program: SystemProgram.programId,
+  });
+
+  const ix = new TransactionInstruction({
+    programId: programIds.tokenMessengerMinterProgramId,
+    keys,
+    data,
+  });
+
+  return {
+    provider,
+    tx: createAta
+      ? new Transaction().add(createAssociatedTokenAccountIdempotentInstruction(owner, derivedAta, owner, usdcMint), ix)
+      : new Transaction().add(ix),
+    extraSigners: [messageSentEventAccount],
+    calldata: {
+      program: programIds.tokenMessengerMinterProgramId.toBase58(),
+      instruction,
+      args: {
+        amount: params.amount,
+        destinationDomain: params.destinationDomain,
+        mintRecipient: mintRecipient.toBase58(),
+        destinationCaller: destinationCaller.toBase58(),
+        maxFee: params.maxFee,
+        minFinalityThreshold: params.minFinalityThreshold,
+        ...(hookData.length ? { hookData: `0x${hookData.toString("hex")}` } : {}),
+      },
+      accounts: accountNames(ixDef, keys),
+    },
+  };
+}
+
+export async function depositForBurnOnSolana({ network, eventAccounts, onProgress = () => {}, onSent, ...params }) {
+  onProgress({ type: "log", message: `Burning USDC on ${network.label} (depositForBurn)` });
+  const { provider, tx, extraSigners } = await buildDepositForBurn({ network, onProgress, ...params });
+  const sig = await sendSolanaTransaction(provider.connection, params.signer, tx.instructions, {
+    extraSigners,
+    what: "deposit_for_burn",
+    onSent,
+    onProgress,
+  });
+  // The event account keeps our rent until reclaim_event_account closes it; remember it for `reclaim`
+  const [eventAccount] = extraSigners;
+  eventAccounts?.add({
+    network: network.name,
+    address: eventAccount.publicKey.toBase58(),
+    burnTx: sig,
+    rentPayer: params.signer.publicKey.toBase58(),
+  });
+  onProgress({ type: "burned", chain: network.name, txHash: sig });
+  return sig;
+}
+
+// Assemble the receive_message transaction (plus the recipient ATA when known)
+async function buildReceiveMessage({ network, signer, attestation, recipient, env = process.env, onProgress = () => {} }) {
+  const provider = providerFor(network, signer);
+  const payer = signer.publicKey;
+  const programIds = programIdsFor(network);
+  const [tokenMessengerIdl, messageTransmitterIdl] = await Promise.all([
+    loadIdl(network, "tokenMessengerMinter", provider, { env, onProgress }),
+    loadIdl(network, "messageTransmitter", provider, { env, onProgress }),
+  ]);
+
+  const messageBytes = decodeEnvelope(attestation.message);
+  const attestationBytes = decodeEnvelope(attestation.attestation);
+  const { sourceDomain, nonce: nonceHex, burnMessage } = decodeMessage(messageBytes);
+  onProgress({ type: "log", message: `source domain=${sourceDomain}, nonce=${nonceHex}` });
+
+  const usdcMint = new PublicKey(network.usdc);
+  const pdas = getReceiveMessagePdasV2(usdcMint, burnMessage.burnToken, sourceDomain, nonceHex, programIds);
+  const feeRecipientTokenAccount = await getFeeRecipientTokenAccount(
+    provider.connection,
+    pdas.tokenMessengerAccount.publicKey,
+    usdcMint,
+    tokenMessengerIdl,
+  );
+  // The burn already names the destination token account; mint straight into it.
+  const recipientTokenAccount = new PublicKey(Buffer.from(burnMessage.mintRecipient.slice(2), "hex"));
+
+  const ixDef = messageTransmitterIdl.instructions.find((ix) => ix.name === "receive_message");
+  if (!ixDef) throw new Error("receive_message instruction not found in IDL");
+
+  const ixCoder = new anchor.BorshInstructionCoder(messageTransmitterIdl);
+  const data = ixCoder.encode("receive_message", {
+    params: { message: messageBytes, attestation: attestationBytes },
+  });
+
+  const keys = accountMetasFromIdl(ixDef, {
+    payer,
+    caller: payer,
+    authority_pda: pdas.authorityPda.publicKey,
+    message_transmitter: pdas.messageTransmitterAccount.publicKey,
+    used_nonce: pdas.usedNonce.publicKey,
+    receiver: programIds.tokenMessengerMinterProgramId,
+    system_program: SystemProgram.programId,
+    event_authority: pdas.messageTransmitterEventAuthority.publicKey,
+    program: programIds.messageTransmitterProgramId,
+  });
+
+  // Remaining accounts consumed by TokenMessengerMinterV2.handle_receive_message, in order.
+  const remainingAccounts = [
+    { pubkey: pdas.tokenMessengerAccount.publicKey, isWritable: false },
+    { pubkey: pdas.remoteTokenMessengerKey.publicKey, isWritable: false },
+    { pubkey: pdas.tokenMinterAccount.publicKey, isWritable: true },
+    { pubkey: pdas.localToken.publicKey, isWritable: true },
+    { pubkey: pdas.tokenPair.publicKey, isWritable: false },
+    { pubkey: feeRecipientTokenAccount, isWritable: true },
+    { pubkey: recipientTokenAccount, isWritable: true },
+    { pubkey: pdas.custodyTokenAccount.publicKey, isWritable: true },
+    { pubkey: TOKEN_PROGRAM_ID, isWritable: false },
+    { pubkey: pdas.tokenMessengerEventAuthority.publicKey, isWritable: false },
+    { pubkey: programIds.tokenMessengerMinterProgramId, isWritable: false },
+  ].map((acct) => ({ ...acct, isSigner: false }));
+
+  const tx = new Transaction();
+  // When we know the recipient wallet, make sure its ATA exists before the mint lands in it.
+  if (recipient) {
+    tx.add(
+      createAssociatedTokenAccountIdempotentInstruction(
+        payer,
+        recipientTokenAccount,
+        new PublicKey(recipient),
+        usdcMint,
+      ),
+    );
+  }
+  tx.add(
+    new TransactionInstruction({
+      programId: programIds.messageTransmitterProgramId,
+      keys: [...keys, ...remainingAccounts],
+      data,
+    }),
+  );
+  return {
+    provider,
+    tx,
+    extraSigners: [],
+    calldata: {
+      program: programIds.messageTransmitterProgramId.toBase58(),
+      instruction: "receive_message",
+      args: { messageBytes: messageBytes.length, attestationBytes: attestationBytes.length, nonce: nonceHex },
+      accounts: accountNames(ixDef, keys),
+      remainingAccounts: remainingAccounts.map(({ pubkey }) => pubkey.toBase58()),
+    },
+  };
+}
+
+export async function receiveMessageOnSolana({ network, onProgress = () => {}, ...params }) {
+  onProgress({ type: "log", message: `Minting USDC on ${network.label} (receive_message)...` });
+  const { provider, tx } = await buildReceiveMessage({ network, onProgress, ...params });
+  const sig = await sendSolanaTransaction(provider.connection, params.signer, tx.instructions, {
+    what: "receive_message",
+    onProgress,
+  });
+  onProgress({ type: "minted", chain: network.name, txHash: sig });
+  return sig;
+}
+
+// Dry run: price the message and simulateTransaction it against the current blockhash; never broadcasts
+async function simulateBuilt(network, signer, step, { provider, tx, extraSigners, calldata }) {
+  const { connection } = provider;
+  try {
+    tx.feePayer = signer.publicKey;
+    tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+    const fee = await connection.getFeeForMessage(tx.compileMessage());
+    // External signers aren't asked to sign a dry run; it is simulated without signatures instead
+    const { value } = await connection.simulateTransaction(tx, signer.secretKey ? [signer, ...extraSigners] : undefined);
+    const result = { chain: network.name, step, calldata, logs: value.logs ?? [] };
+    if (value.err) return { ...result, ok: false, error: JSON.stringify(value.err) };
+    return {
+      ...result,
+      ok: true,
+      estimatedFee: `${(fee.value ?? 0) / LAMPORTS_PER_SOL} SOL (${value.unitsConsumed ?? "?"} compute units)`,
+    };
+  } catch (err) {
+    return { chain: network.name, step, ok: false, calldata, error: err.message };
+  }
+}
+
+export async function simulateBurn(params) {
+  return simulateBuilt(params.network, params.signer, "burn", await buildDepositForBurn(params));
+}
+
+export async function simulateMint(params) {
+  return simulateBuilt(params.network, params.signer, "mint", await buildReceiveMessage(params));
+}
+
+// The UsedNonce PDA is created by receive_message; its oldest signature is the redeeming tx
+export async function checkNonceUsed(network, decoded) {
+  const connection = new Connection(network.rpc, "confirmed");
+  const { messageTransmitterProgramId } = programIdsFor(network);
+  const usedNonce = findProgramAddress(
+    "used_nonce",
+    messageTransmitterProgramId,
+    [Buffer.from(decoded.nonce.replace(/^0x/, ""), "hex")],
+  ).publicKey;
+  const info = await connection.getAccountInfo(usedNonce);
+  if (!info) return { used: false };
+
+  const signatures = await connection.getSignaturesForAddress(usedNonce);
+  return { used: true, redeemTx: signatures.at(-1)?.signature };
+}
+
+// MessageSent event accounts whose rent `owner` paid (rent_payer follows the discriminator);
+// the oldest signature on each is the burn that created it
+export async function findEventAccounts(network, owner) {
+  const connection = new Connection(network.rpc, "confirmed");
+  const { messageTransmitterProgramId } = programIdsFor(network);
+  const accounts = await connection.getProgramAccounts(messageTransmitterProgramId, {
+    dataSlice: { offset: 0, length: 0 },
+    filters: [
+      { memcmp: { offset: 0, bytes: anchor.utils.bytes.bs58.encode(messageSentDiscriminator) } },
+      { memcmp: { offset: 8, bytes: new PublicKey(owner).toBase58() } },
+    ],
+  });
+  const found = [];
+  for (const { pubkey, account } of accounts) {
+    const signatures = await connection.getSignaturesForAddress(pubkey);
+    found.push({ address: pubkey.toBase58(), lamports: account.lamports, burnTx: signatures.at(-1)?.signature });
+  }
+  return found;
+}
+
+// Lamports held by an account, or undefined once it is closed
+export async function accountLamports(network, address) {
+  const info = await new Connection(network.rpc, "confirmed").getAccountInfo(new PublicKey(address));
+  return info?.lamports;
+}
+
+/**
+ * Close a MessageSent event account with MessageTransmitterV2.reclaim_event_account, returning
+ * its rent to `signer`, who must be the account's rent payer. Takes the attested message of the
+ * burn that created it; the program may also refuse until the account is old enough.
+ */
+export async function reclaimEventAccount({
+  network,
+  signer,
+  eventAccount,
+  attestation,
+  env = process.env,
+  onProgress = () => {},
+}) {
+  const provider = providerFor(network, signer);
+  const { messageTransmitterProgramId } = programIdsFor(network);
+  const messageTransmitterIdl = await loadIdl(network, "messageTransmitter", provider, { env, onProgress });
+  const ixDef = messageTransmitterIdl.instructions.find((ix) => ix.name === "reclaim_event_account");
+  if (!ixDef) throw new Error("reclaim_event_account instruction not found in IDL");
+
+  const data = new anchor.BorshInstructionCoder(messageTransmitterIdl).encode("reclaim_event_account", {
+    params: {
+      attestation: decodeEnvelope(attestation.attestation),
+      destination_message: decodeEnvelope(attestation.message),
+    },
+  });
+  const keys = accountMetasFromIdl(ixDef, {
+    payee: signer.publicKey,
+    message_transmitter: findProgramAddress("message_transmitter", messageTransmitterProgramId).publicKey,
+    message_sent_event_data: new PublicKey(eventAccount),
+  });
+  const ix = new TransactionInstruction({ programId: messageTransmitterProgramId, keys, data });
+  const sig = await sendSolanaTransaction(provider.connection, signer, [ix], { what: "reclaim_event_account", onProgress });
+  onProgress({ type: "log", message: `Reclaimed event account ${eventAccount}: ${sig}` });
+  return sig;
+}
+
+// Anchor 0.30 IDLs keep snake_case field names, older ones camelCase
+const idlField = (params, name) => params[name] ?? params[name.replace(/_(\w)/g, (_, c) => c.toUpperCase())];
+const pubkeyHex = (key) => `0x${new PublicKey(key).toBuffer().toString("hex")}`;
+
+/**
+ * Watch TokenMessengerMinterV2 for burns: every transaction on the program (or, with
+ * `depositor`, on that wallet) since signature `cursor`, oldest first, with its
+ * deposit_for_burn(_with_hook) instructions decoded against the IDL. Without a cursor,
+ * watching starts at the newest transaction, or a page of signatures back with `backfill`.
+ * Burns made through CPI from another program (inner instructions) are not picked up.
+ */
+export async function findBurns(
+  network,
+  cursor,
+  { depositor, backfill = false, env = process.env, onProgress = () => {} } = {},
+) {
+  const connection = new Connection(network.rpc, "confirmed");
+  const { tokenMessengerMinterProgramId } = programIdsFor(network);
+  const watched = depositor ? new PublicKey(depositor) : tokenMessengerMinterProgramId;
+  if (cursor === undefined && !backfill) {
+    const [newest] = await connection.getSignaturesForAddress(watched, { limit: 1 });
+    return { burns: [], cursor: newest?.signature, caughtUp: true };
+  }
+
+  // Newest first, so page backwards until we reach the cursor (a backfill takes one page)
+  const signatures = [];
+  for (let before; ; ) {
+    const page = await connection.getSignaturesForAddress(watched, {
+      until: cursor,
+      before,
+      limit: SIGNATURE_PAGE_SIZE,
+    });
+    signatures.push(...page);
+    if (cursor === undefined || page.length < SIGNATURE_PAGE_SIZE) break;
+    before = page.at(-1).signature;
+  }
+  if (!signatures.length) return { burns: [], cursor, caughtUp: true };
+
+  // Read-only: the provider only checks the IDL for drift, so any keypair will do
+  const tokenMessengerIdl = await loadIdl(network, "tokenMessengerMinter", providerFor(network, Keypair.generate()), {
+    env,
+    onProgress,
+  });
+  const coder = new anchor.BorshInstructionCoder(tokenMessengerIdl);
+
+  const burns = [];
+  for (const { signature, err } of signatures.reverse()) {
+    if (err) continue;
+    const tx = await connection.getTransaction(signature, { maxSupportedTransactionVersion: 0, commitment: "confirmed" });
+    if (!tx) continue;
+    const { message } = tx.transaction;
+    const keys = message.getAccountKeys({ accountKeysFromLookups: tx.meta?.loadedAddresses });
+    for (const ix of message.compiledInstructions) {
+      if (!keys.get(ix.programIdIndex)?.equals(tokenMessengerMinterProgramId)) continue;
+      const decoded = coder.decode(Buffer.from(ix.data));
+      if (!decoded || !/^deposit_?for_?burn/i.test(decoded.name)) continue;
+      const ixDef = tokenMessengerIdl.instructions.find((candidate) => candidate.name === decoded.name);
+      const ownerIndex = ixDef.accounts.findIndex((acct) => acct.name === "owner");
+      const owner = keys.get(ix.accountKeyIndexes[ownerIndex])?.toBase58();
+      if (depositor && owner !== depositor) continue;
+      const { params } = decoded.data;
+      burns.push({
+        txHash: signature,
+        depositor: owner,
+        timestamp: tx.blockTime ?? undefined,
+        destinationDomain: Number(idlField(params, "destination_domain")),
+        mintRecipient: pubkeyHex(idlField(params, "mint_recipient")),
+        destinationCaller: pubkeyHex(idlField(params, "destination_caller")),
+        amount: BigInt(idlField(params, "amount").toString()),
+        maxFee: BigInt(idlField(params, "max_fee").toString()),
+        minFinalityThreshold: Number(idlField(params, "min_finality_threshold")),
+      });
+    }
+  }
+  return { burns, cursor: signatures.at(-1).signature, caughtUp: true };
+}
+
+// Recipients that are themselves SPL token accounts: minting to "their" ATA would strand the USDC
+async function tokenAccountRecipients(connection, recipients) {
+  const found = [];
+  for (let i = 0; i < recipients.length; i += 100) {
+    const chunk = recipients.slice(i, i + 100);
+    const infos = await connection.getMultipleAccountsInfo(chunk.map((recipient) => new PublicKey(recipient)));
+    infos.forEach((info, j) => {
+      if (info && (info.owner.equals(TOKEN_PROGRAM_ID) || info.owner.equals(TOKEN_2022_PROGRAM_ID)) && info.data.length >= 64) {
+        found.push({ recipient: chunk[j], owner: new PublicKey(info.data.subarray(32, 64)).toBase58() });
+      }
+    });
+  }
+  return found;
+}
+
+/**
+ * Refuse recipients that are token accounts rather than wallets: the mint goes to the
+ * recipient's USDC ATA, and a token account can't own one, so the funds would be stranded.
+ * Runs for every transfer to Solana, whether or not pre-flight checks are on.
+ */
+export async function checkRecipients(network, recipients) {
+  const tokenAccounts = await tokenAccountRecipients(new Connection(network.rpc, "confirmed"), recipients);
+  if (!tokenAccounts.length) return;
+  const err = new Error(
+    tokenAccounts
+      .map(({ recipient, owner: wallet }) => `${recipient} is a token account; pass its owner wallet ${wallet}`)
+      .join("; "),
+  );
+  err.code = "RECIPIENT_IS_TOKEN_ACCOUNT";
+  throw err;
+}
+
+// Pre-flight: SOL for fees and rent; for a burn, the USDC in the account depositForBurnOnSolana
+// will use and no denylist PDA for the owner
+export async function preflight(network, signer, { role, amount, env = process.env, onProgress = () => {} }) {
+  const connection = new Connection(network.rpc, "confirmed");
+  const owner = signer.publicKey;
+  const lamports = await connection.getBalance(owner);
+  const checks = [
+    {
+      name: "SOL for fees and rent",
+      ok: lamports >= MIN_PREFLIGHT_LAMPORTS,
+      detail: `${lamports / LAMPORTS_PER_SOL} SOL at ${owner.toBase58()}, want at least ${MIN_PREFLIGHT_LAMPORTS / LAMPORTS_PER_SOL}`,
+    },
+  ];
+  if (role !== "burn") return checks;
+
+  const usdcMint = new PublicKey(network.usdc);
+  try {
+    const tokenAccount = await resolveBurnTokenAccount(connection, usdcMint, owner, env.SOLANA_USDC_ACCOUNT, onProgress);
+    const balance = BigInt((await connection.getTokenAccountBalance(tokenAccount)).value.amount);
+    checks.push({
+      name: "USDC balance",
+      ok: balance >= amount,
+      detail: `${formatUsdcAmount(balance)} USDC in ${tokenAccount.toBase58()}, need ${formatUsdcAmount(amount)}`,
+    });
+  } catch (err) {
+    checks.push({ name: "USDC balance", ok: false, detail: err.message });
+  }
+
+  const { denylistAccount } = getDepositForBurnPdasV2(usdcMint, owner, programIdsFor(network));
+  const denylisted = Boolean(await connection.getAccountInfo(denylistAccount.publicKey));
+  checks.push({
+    name: "Not denylisted",
+    ok: !denylisted,
+    detail: denylisted
+      ? `Denylist PDA ${denylistAccount.publicKey.toBase58()} exists for ${owner.toBase58()}`
+      : "No denylist PDA for the owner",
+  });
+  return checks;
+}
+
+export { depositForBurnOnSolana as burn, receiveMessageOnSolana as mint };
+
+// Solana mints to a token account, so the recipient is the wallet's USDC ATA, not the wallet.
+export const toMintRecipient = (network, address) => {
+  const owner = new PublicKey(normalizeSolanaAddress(address));
+  const ata = getAssociatedTokenAddressSync(new PublicKey(network.usdc), owner, true);
+  return `0x${ata.toBuffer().toString("hex")}`;
+};
@@ -0,0 +1,159 @@
+// Pinned Solana program IDLs: JSON snapshots bundled in lib/idl, checked against the on-chain IDL for drift
+import axios from "axios";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import * as anchor from "@coral-xyz/anchor";
+import { PublicKey, Keypair, Connection } from "@solana/web3.js";
+import { writeJsonFile } from "./journal.js";
+
+export const BUNDLED_IDL_DIR = fileURLToPath(new URL("./idl/", import.meta.url));
+
+// The programs we encode for: network field holding the program id, fallback URL field, bundled file
+export const SOLANA_IDLS = {
+  tokenMessengerMinter: {
+    programField: "tokenMessengerMinter",
+    urlField: "tokenMessengerMinterIdlUrl",
+    file: "token_messenger_minter_v2.json",
+  },
+  messageTransmitter: {
+    programField: "messageTransmitter",
+    urlField: "messageTransmitterIdlUrl",
+    file: "message_transmitter_v2.json",
+  },
+};
+
+// Hash of the parsed IDL, so the same IDL hashes alike whether read from a file or from chain
+export const idlHash = (idl) => crypto.createHash("sha256").update(JSON.stringify(idl)).digest("hex");
+
+const definition = (program) => {
+  const idl = SOLANA_IDLS[program];
+  if (!idl) throw new Error(`Unknown Solana program "${program}"; expected one of ${Object.keys(SOLANA_IDLS).join(", ")}`);
+  return idl;
+};
+
+// Only getAccountInfo is used, so any keypair will do
+const readOnlyProvider = (network) =>
+  new anchor.AnchorProvider(new Connection(network.rpc, "confirmed"), new anchor.Wallet(Keypair.generate()), {});
+
+export async function fetchIdlWithFallback(programId, url, provider, onProgress = () => {}) {
+  const name = programId.toBase58();
+  try {
+    const idl = await anchor.Program.fetchIdl(programId, provider);
+    if (idl) return idl;
+    onProgress({ type: "log", message: `On-chain IDL for ${name} not found; falling back to ${url}` });
+  } catch (err) {
+    onProgress({
+      type: "log",
+      message: `Failed to fetch on-chain IDL for ${name}: ${err.message}; falling back to ${url}`,
+    });
+  }
+
+  const { data } = await axios.get(url);
+  if (!data) throw new Error(`Unable to load IDL for ${name} from ${url}`);
+  return data;
+}
+
+// The bundled snapshot, or undefined when none has been pinned yet
+export function readBundledIdl(program, dir = BUNDLED_IDL_DIR) {
+  const file = path.join(dir, definition(program).file);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : undefined;
+}
+
+async function fetchOnChainIdl(programId, provider) {
+  try {
+    return { idl: (await anchor.Program.fetchIdl(programId, provider)) ?? undefined };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Compare each bundled IDL with the one published on chain for the network's program ids.
+ * Status is "match", "drift", "no-bundle" (not pinned yet) or "no-on-chain" (not published,
+ * or the lookup failed; see `error`).
+ *
+ * @returns {Promise<import("./index.js").IdlCheck[]>}
+ */
+export async function checkIdls(network, { provider = readOnlyProvider(network), dir = BUNDLED_IDL_DIR } = {}) {
+  const results = [];
+  for (const program of Object.keys(SOLANA_IDLS)) {
+    const { programField, file } = SOLANA_IDLS[program];
+    const bundled = readBundledIdl(program, dir);
+    const { idl, error } = await fetchOnChainIdl(new PublicKey(network[programField]), provider);
+    const result = {
+      program,
+      programId: network[programField],
+      file,
+      version: bundled?.metadata?.version ?? bundled?.version,
+      bundledHash: bundled && idlHash(bundled),
+      onChainHash: idl && idlHash(idl),
+      ...(error ? { error } : {}),
+    };
+    if (!bundled) result.status = "no-bundle";
+    else if (!idl) result.status = "no-on-chain";
+    else result.status = result.bundledHash === result.onChainHash ? "match" : "drift";
+    results.push(result);
+  }
+  return results;
+}
+
+// Program ids already compared with their on-chain IDL in this process
+const driftChecked = new Set();
+
+/**
+ * The IDL to encode and decode `program` instructions with: the bundled snapshot, so encoding
+ * never depends on GitHub and can't change under us. The first load per program id also
+ * compares it with the on-chain IDL and warns on drift (SOLANA_IDL_CHECK=false skips that).
+ * Without a snapshot it falls back to fetching the IDL.
+ */
+export async function loadIdl(network, program, provider, { env = process.env, onProgress = () => {} } = {}) {
+  const { programField, urlField, file } = definition(program);
+  const programId = new PublicKey(network[programField]);
+  const bundled = readBundledIdl(program);
+  if (!bundled) {
+    onProgress({ type: "log", message: `No bundled ${file}; fetching it (run \`cctp idl update\` to pin it)` });
+    return fetchIdlWithFallback(programId, network[urlField], provider, onProgress);
+  }
+
+  const key = programId.toBase58();
+  if (provider && !/^(0|false)$/i.test(env.SOLANA_IDL_CHECK ?? "") && !driftChecked.has(key)) {
+    driftChecked.add(key);
+    const { idl } = await fetchOnChainIdl(programId, provider);
+    if (idl && idlHash(idl) !== idlHash(bundled)) {
+      onProgress({
+        type: "log",
+        message: `Warning: the on-chain IDL of ${key} differs from the bundled ${file} (sha256 ${idlHash(idl).slice(0, 12)} vs ${idlHash(bundled).slice(0, 12)}); encoding with the bundled one. Review and run \`cctp idl update\` to re-pin.`,
+      });
+    }
+  }
+  return bundled;
+}
+
+/**
+ * Re-pin the bundled IDLs from the network's programs (on chain, falling back to the IDL URLs).
+ * Resolves to one entry per program with the previous and new hashes.
+ *
+ * @returns {Promise<import("./index.js").IdlUpdate[]>}
+ */
+export async function updateIdls(network, { provider = readOnlyProvider(network), dir = BUNDLED_IDL_DIR, onProgress = () => {} } = {}) {
+  const results = [];
+  for (const program of Object.keys(SOLANA_IDLS)) {
+    const { programField, urlField, file } = SOLANA_IDLS[program];
+    const previous = readBundledIdl(program, dir);
+    const idl = await fetchIdlWithFallback(new PublicKey(network[programField]), network[urlField], provider, onProgress);
+    const hash = idlHash(idl);
+    const changed = !previous || idlHash(previous) !== hash;
+    if (changed) writeJsonFile(path.join(dir, file), idl);
+    results.push({
+      program,
+      file,
+      version: idl.metadata?.version ?? idl.version,
+      previousHash: previous && idlHash(previous),
+      hash,
+      changed,
+    });
+  }
+  return results;
+}
@@ -0,0 +1,135 @@
+// Solana transaction sender: v0 transactions with a compute budget and priority fee, resent until confirmed
+import bs58 from "bs58";
+import { ComputeBudgetProgram, PublicKey, TransactionMessage, VersionedTransaction } from "@solana/web3.js";
+
+export const SOLANA_TX_DEFAULTS = {
+  computeUnitLimit: undefined, // unset: simulate and add COMPUTE_UNIT_MARGIN_PERCENT
+  priorityFeeMicroLamports: undefined, // unset: recent fees paid on the accounts we write
+  priorityFeePercentile: 75,
+  maxPriorityFeeMicroLamports: 1_000_000,
+  resendIntervalMs: 2_000,
+  maxBlockhashRetries: 3, // fresh blockhashes to try after the first one expires
+};
+
+const MAX_COMPUTE_UNITS = 1_400_000;
+const COMPUTE_UNIT_MARGIN_PERCENT = 20;
+
+// SOLANA_COMPUTE_UNIT_LIMIT / SOLANA_PRIORITY_FEE (micro-lamports per CU) / SOLANA_MAX_PRIORITY_FEE /
+// SOLANA_BLOCKHASH_RETRIES tune the defaults
+export const solanaTxOptionsFromEnv = (env = process.env) => ({
+  ...(env.SOLANA_COMPUTE_UNIT_LIMIT ? { computeUnitLimit: Number(env.SOLANA_COMPUTE_UNIT_LIMIT) } : {}),
+  ...(env.SOLANA_PRIORITY_FEE ? { priorityFeeMicroLamports: Number(env.SOLANA_PRIORITY_FEE) } : {}),
+  ...(env.SOLANA_MAX_PRIORITY_FEE ? { maxPriorityFeeMicroLamports: Number(env.SOLANA_MAX_PRIORITY_FEE) } : {}),
+  ...(env.SOLANA_BLOCKHASH_RETRIES ? { maxBlockhashRetries: Number(env.SOLANA_BLOCKHASH_RETRIES) } : {}),
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const compile = (payerKey, instructions, blockhash) =>
+  new VersionedTransaction(new TransactionMessage({ payerKey, recentBlockhash: blockhash, instructions }).compileToV0Message());
+
+// Keypairs sign here; external signers (see externalSolanaSigner) through their signTransaction
+async function sign(tx, signers) {
+  const local = signers.filter((signer) => signer.secretKey);
+  if (local.length) tx.sign(local);
+  let signed = tx;
+  for (const signer of signers.filter((candidate) => !candidate.secretKey)) {
+    signed = await signer.signTransaction(signed);
+  }
+  return signed;
+}
+
+const failure = (what, err, logs = []) =>
+  new Error(`${what} failed: ${JSON.stringify(err)}${logs.length ? `\n  ${logs.slice(-10).join("\n  ")}` : ""}`);
+
+// Units the instructions use when simulated (unsigned) at the maximum, plus a margin; a failing
+// simulation throws with the program logs before anything is sent
+async function estimateComputeUnits(connection, payerKey, instructions, what) {
+  const { blockhash } = await connection.getLatestBlockhash();
+  const probe = [ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }), ...instructions];
+  const { value } = await connection.simulateTransaction(compile(payerKey, probe, blockhash), { sigVerify: false });
+  if (value.err) throw failure(`${what} simulation`, value.err, value.logs ?? []);
+  const units = Math.ceil(((value.unitsConsumed ?? 200_000) * (100 + COMPUTE_UNIT_MARGIN_PERCENT)) / 100);
+  return Math.min(MAX_COMPUTE_UNITS, units);
+}
+
+// A percentile of the priority fees recently paid to lock the accounts we write, capped
+async function estimatePriorityFee(connection, instructions, config) {
+  const writable = new Set(
+    instructions.flatMap((ix) => ix.keys.filter(({ isWritable }) => isWritable).map(({ pubkey }) => pubkey.toBase58())),
+  );
+  const recent = await connection.getRecentPrioritizationFees({
+    lockedWritableAccounts: [...writable].slice(0, 128).map((key) => new PublicKey(key)),
+  });
+  const fees = recent.map(({ prioritizationFee }) => prioritizationFee).sort((a, b) => a - b);
+  if (!fees.length) return 0;
+  const fee = fees[Math.min(fees.length - 1, Math.floor((fees.length * config.priorityFeePercentile) / 100))];
+  return Math.min(fee, config.maxPriorityFeeMicroLamports);
+}
+
+// Resend `raw` until one of `signatures` (this attempt's or an earlier one's) is confirmed, or
+// the blockhash expires (resolves undefined)
+async function waitForConfirmation(connection, raw, signatures, lastValidBlockHeight, what, config) {
+  for (;;) {
+    const { value } = await connection.getSignatureStatuses(signatures);
+    const index = value.findIndex(
+      (status) => status?.err || status?.confirmationStatus === "confirmed" || status?.confirmationStatus === "finalized",
+    );
+    if (index >= 0) {
+      if (value[index].err) {
+        const landed = await connection
+          .getTransaction(signatures[index], { maxSupportedTransactionVersion: 0, commitment: "confirmed" })
+          .catch(() => undefined);
+        throw failure(`${what} ${signatures[index]}`, value[index].err, landed?.meta?.logMessages ?? []);
+      }
+      return signatures[index];
+    }
+    if ((await connection.getBlockHeight("confirmed")) > lastValidBlockHeight) return undefined;
+    await sleep(config.resendIntervalMs);
+    await connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+  }
+}
+
+/**
+ * Send `instructions` as a v0 transaction signed by `payer` (the fee payer; a Keypair or an
+ * external signer) and `extraSigners`,
+ * with a compute unit limit and priority fee (configured, or estimated by simulation and from
+ * recent fees). The signed tx is resent until it confirms; when its blockhash expires it is
+ * re-signed with a fresh one, up to `maxBlockhashRetries` times. `onSent(signature, signatures)`
+ * is called as each one is broadcast. Resolves to the signature.
+ */
+export async function sendSolanaTransaction(connection, payer, instructions, options = {}) {
+  const config = { ...SOLANA_TX_DEFAULTS, ...solanaTxOptionsFromEnv(), ...options };
+  const { extraSigners = [], what = "Solana transaction", onSent = () => {}, onProgress = () => {} } = options;
+  const signers = [payer, ...extraSigners];
+
+  const units = config.computeUnitLimit ?? (await estimateComputeUnits(connection, payer.publicKey, instructions, what));
+  const microLamports = config.priorityFeeMicroLamports ?? (await estimatePriorityFee(connection, instructions, config));
+  onProgress({ type: "log", message: `${what}: ${units} compute units, priority fee ${microLamports} micro-lamports/CU` });
+  const budgeted = [
+    ComputeBudgetProgram.setComputeUnitLimit({ units }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports }),
+    ...instructions,
+  ];
+
+  const signatures = [];
+  for (let attempt = 0; attempt <= config.maxBlockhashRetries; attempt += 1) {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash("confirmed");
+    const tx = await sign(compile(payer.publicKey, budgeted, blockhash), signers);
+    const raw = tx.serialize();
+    signatures.push(bs58.encode(tx.signatures[0]));
+    if (attempt > 0) {
+      onProgress({ type: "log", message: `${what} blockhash expired; resending as ${signatures.at(-1)}` });
+    }
+    // Already simulated (or explicitly configured), so skip the node's preflight and its delay
+    await connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+    await onSent(signatures.at(-1), [...signatures]);
+    const confirmed = await waitForConfirmation(connection, raw, signatures, lastValidBlockHeight, what, config);
+    if (confirmed) return confirmed;
+  }
+  const err = new Error(
+    `${what} not confirmed with ${signatures.length} blockhash(es); signatures: ${signatures.join(", ")}`,
+  );
+  err.code = "SOLANA_TX_EXPIRED";
+  throw err;
+}
@@ -0,0 +1,197 @@
+// Starknet side of CCTPv2: deposit_for_burn on the source, receive_message on the destination
+import { cairo, RpcProvider } from "starknet";
+import { formatUnits } from "viem";
+import { toBytes32, decodeEnvelope, bytesToByteArrayCalldata } from "./encoding.js";
+import { addressToBytes32, bytes32ToAddress } from "./address.js";
+import { formatUsdcAmount } from "./amount.js";
+
+const u256Calldata = (value) => Object.values(cairo.uint256(value));
+
+// ERC-20 balance_of returns a u256 as (low, high)
+async function balanceOf(provider, token, owner) {
+  const [low, high = 0n] = await provider.callContract({
+    contractAddress: token,
+    entrypoint: "balance_of",
+    calldata: [owner],
+  });
+  return BigInt(low) + (BigInt(high) << 128n);
+}
+
+// Approve and burn in a single multicall so the burn can't race the allowance. Hook data goes to
+// deposit_for_burn_with_hook as a trailing ByteArray, the same encoding receive_message uses.
+function burnCalls(network, params) {
+  const hookData = decodeEnvelope(params.hookData ?? "0x");
+  const approveCall = {
+    contractAddress: network.usdc,
+    entrypoint: "approve",
+    calldata: [network.tokenMessenger, ...u256Calldata(params.amount)],
+  };
+  const burnCall = {
+    contractAddress: network.tokenMessenger,
+    entrypoint: hookData.length ? "deposit_for_burn_with_hook" : "deposit_for_burn",
+    calldata: [
+      ...u256Calldata(params.amount),
+      params.destinationDomain,
+      ...u256Calldata(BigInt(params.mintRecipient)),
+      network.usdc,
+      ...u256Calldata(BigInt(params.destinationCaller)),
+      ...u256Calldata(params.maxFee),
+      params.minFinalityThreshold,
+      ...(hookData.length ? bytesToByteArrayCalldata(hookData) : []),
+    ],
+  };
+  return [approveCall, burnCall];
+}
+
+export async function burnOnStarknet({ network, signer, onProgress = () => {}, onSent = () => {}, ...params }) {
+  onProgress({ type: "log", message: `Approving + burning USDC on ${network.label} (deposit_for_burn)...` });
+  const tx = await signer.execute(burnCalls(network, params));
+  // Iris indexes Starknet tx hashes as zero-padded 32-byte hex
+  const burnTx = toBytes32(tx.transaction_hash);
+  onProgress({ type: "log", message: `Starknet burn tx: ${tx.transaction_hash}` });
+  await onSent(burnTx, [burnTx]);
+  await signer.waitForTransaction(tx.transaction_hash);
+  onProgress({ type: "approved", chain: network.name, txHash: burnTx });
+  onProgress({ type: "burned", chain: network.name, txHash: burnTx });
+  return burnTx;
+}
+
+// MessageTransmitterV2.receive_message(message: ByteArray, attestation: ByteArray)
+const receiveMessageCall = (network, messageBytes, attestationBytes) => ({
+  contractAddress: network.messageTransmitter,
+  entrypoint: "receive_message",
+  calldata: [...bytesToByteArrayCalldata(messageBytes), ...bytesToByteArrayCalldata(attestationBytes)],
+});
+
+export async function mintOnStarknet({ network, signer, attestation, onProgress = () => {} }) {
+  // Mint on Starknet by calling MessageTransmitterV2.receive_message with the message + attestation
+  onProgress({ type: "log", message: `Minting USDC on ${network.label} (receive_message)...` });
+  const messageBytes = decodeEnvelope(attestation.message);
+  const attestationBytes = decodeEnvelope(attestation.attestation);
+  onProgress({
+    type: "log",
+    message: `message bytes=${messageBytes.length}, attestation bytes=${attestationBytes.length}`,
+  });
+
+  const tx = await signer.execute([receiveMessageCall(network, messageBytes, attestationBytes)]);
+  onProgress({ type: "log", message: `Starknet tx hash: ${tx.transaction_hash}` });
+  await signer.waitForTransaction(tx.transaction_hash);
+  onProgress({ type: "minted", chain: network.name, txHash: tx.transaction_hash });
+  return tx.transaction_hash;
+}
+
+/**
+ * Mint several attested messages in one multicall of receive_message calls. All or nothing:
+ * if any message is rejected the whole transaction reverts.
+ */
+export async function mintManyOnStarknet({ network, signer, attestations, onProgress = () => {} }) {
+  onProgress({
+    type: "log",
+    message: `Minting ${attestations.length} messages on ${network.label} in one multicall (receive_message)...`,
+  });
+  const calls = attestations.map((attestation) =>
+    receiveMessageCall(network, decodeEnvelope(attestation.message), decodeEnvelope(attestation.attestation)),
+  );
+  const tx = await signer.execute(calls);
+  onProgress({ type: "log", message: `Starknet tx hash: ${tx.transaction_hash}` });
+  await signer.waitForTransaction(tx.transaction_hash);
+  onProgress({ type: "minted", chain: network.name, txHash: tx.transaction_hash });
+  return tx.transaction_hash;
+}
+
+// How a ByteArray lands in calldata: (len, 31-byte words..., pending_word, pending_len)
+function byteArrayLayout(bytes) {
+  const felts = bytesToByteArrayCalldata(bytes);
+  return {
+    bytes: bytes.length,
+    fullWords: felts.slice(1, -2).map((felt) => `0x${felt.toString(16)}`),
+    pendingWord: `0x${felts.at(-2).toString(16)}`,
+    pendingWordLength: Number(felts.at(-1)),
+  };
+}
+
+// Dry run: estimateInvokeFee validates and executes the calls without sending them
+async function estimateCalls(network, signer, calls, step, layout) {
+  const calldata = calls.map((call) => ({
+    contract: call.contractAddress,
+    entrypoint: call.entrypoint,
+    calldata: call.calldata.map((felt) => `0x${BigInt(felt).toString(16)}`),
+    ...layout,
+  }));
+  try {
+    const fee = await signer.estimateInvokeFee(calls);
+    return {
+      chain: network.name,
+      step,
+      ok: true,
+      calldata,
+      estimatedFee: `${formatUnits(fee.overall_fee, 18)} ${fee.unit === "FRI" ? "STRK" : "ETH"}`,
+    };
+  } catch (err) {
+    return { chain: network.name, step, ok: false, calldata, error: err.message };
+  }
+}
+
+export const simulateBurn = ({ network, signer, ...params }) =>
+  estimateCalls(network, signer, burnCalls(network, params), "burn");
+
+export function simulateMint({ network, signer, attestation }) {
+  const messageBytes = decodeEnvelope(attestation.message);
+  const attestationBytes = decodeEnvelope(attestation.attestation);
+  return estimateCalls(network, signer, [receiveMessageCall(network, messageBytes, attestationBytes)], "mint", {
+    layout: { message: byteArrayLayout(messageBytes), attestation: byteArrayLayout(attestationBytes) },
+  });
+}
+
+// MessageTransmitterV2 view for used nonces, named after the EVM usedNonces getter
+export async function checkNonceUsed(network, decoded) {
+  const provider = new RpcProvider({ nodeUrl: network.rpc });
+  const result = await provider.callContract({
+    contractAddress: network.messageTransmitter,
+    entrypoint: network.usedNoncesEntrypoint,
+    calldata: u256Calldata(BigInt(decoded.nonce)),
+  });
+  return { used: result.some((felt) => BigInt(felt) !== 0n) };
+}
+
+// Pre-flight: the account must be deployed and hold a fee token (STRK or ETH) to pay for its
+// burn or mint; a source also needs the USDC it is about to burn
+export async function preflight(network, signer, { role, amount }) {
+  const provider = new RpcProvider({ nodeUrl: network.rpc });
+  const deployed = await provider.getClassHashAt(signer.address).then(
+    () => true,
+    () => false,
+  );
+  const checks = [
+    {
+      name: "Account deployed",
+      ok: deployed,
+      detail: deployed ? signer.address : `No account contract at ${signer.address}; deploy it before bridging`,
+    },
+  ];
+
+  const feeBalances = await Promise.all(
+    Object.entries(network.feeTokens).map(async ([symbol, token]) => [symbol, await balanceOf(provider, token, signer.address)]),
+  );
+  checks.push({
+    name: "STRK/ETH for fees",
+    ok: feeBalances.some(([, balance]) => balance > 0n),
+    detail: feeBalances.map(([symbol, balance]) => `${formatUnits(balance, 18)} ${symbol}`).join(", "),
+  });
+
+  if (role === "burn") {
+    const usdc = await balanceOf(provider, network.usdc, signer.address);
+    checks.push({
+      name: "USDC balance",
+      ok: usdc >= amount,
+      detail: `${formatUsdcAmount(usdc)} USDC, need ${formatUsdcAmount(amount)}`,
+    });
+  }
+  return checks;
+}
+
+export { burnOnStarknet as burn, mintOnStarknet as mint, mintManyOnStarknet as mintMany };
+
+export const toMintRecipient = (network, address) => addressToBytes32("starknet", address);
+// The message names the recipient itself, so the mint recipient reads straight back
+export const fromMintRecipient = (network, bytes32) => bytes32ToAddress("starknet", bytes32);
@@ -0,0 +1,197 @@
+// EVM transaction manager: local nonces, N confirmations, revert decoding and fee bumps for stuck txs
+import {
+  createPublicClient,
+  createWalletClient,
+  http,
+  encodeFunctionData,
+  decodeErrorResult,
+  TransactionReceiptNotFoundError,
+} from "viem";
+
+export const TX_DEFAULTS = {
+  confirmations: 1,
+  stuckAfterMs: 180_000, // replace a tx that hasn't been mined after this long
+  maxBumps: 3,
+  finalWaitMs: 600_000, // how long the last fee bump may sit unmined before we give up on it
+  bumpPercent: 20n, // nodes require at least +10% to accept a replacement
+  pollingIntervalMs: 4_000,
+};
+
+// EVM_CONFIRMATIONS / EVM_STUCK_AFTER_MS / EVM_MAX_FEE_BUMPS / EVM_FINAL_WAIT_MS tune the defaults
+export const txOptionsFromEnv = (env = process.env) => ({
+  ...(env.EVM_CONFIRMATIONS ? { confirmations: Number(env.EVM_CONFIRMATIONS) } : {}),
+  ...(env.EVM_STUCK_AFTER_MS ? { stuckAfterMs: Number(env.EVM_STUCK_AFTER_MS) } : {}),
+  ...(env.EVM_MAX_FEE_BUMPS ? { maxBumps: Number(env.EVM_MAX_FEE_BUMPS) } : {}),
+  ...(env.EVM_FINAL_WAIT_MS ? { finalWaitMs: Number(env.EVM_FINAL_WAIT_MS) } : {}),
+});
+
+// Errors any CCTP call can revert with, decoded alongside the called function's own ABI. The V2
+// TokenMessenger and MessageTransmitter (and FiatToken USDC behind them) revert with require
+// strings rather than custom errors, so these are Error(string) and the compiler's Panic(uint256)
+export const CCTP_ERRORS = [
+  { type: "error", name: "Error", inputs: [{ name: "message", type: "string" }] },
+  { type: "error", name: "Panic", inputs: [{ name: "code", type: "uint256" }] },
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const clientsFor = (network, account) => {
+  const transport = http(network.rpc);
+  return {
+    client: createPublicClient({ chain: network.chain, transport }),
+    wallet: createWalletClient({ chain: network.chain, transport, account }),
+  };
+};
+
+// Next nonce per chain + sender. Allocation is serialized so concurrent transfers from one key
+// get consecutive nonces instead of all reading the same pending count.
+const nonces = new Map();
+let nonceLock = Promise.resolve();
+
+function allocateNonce(client, network, address) {
+  const key = `${network.chain.id}:${address.toLowerCase()}`;
+  const allocation = nonceLock.then(async () => {
+    if (!nonces.has(key)) {
+      nonces.set(key, await client.getTransactionCount({ address, blockTag: "pending" }));
+    }
+    const nonce = nonces.get(key);
+    nonces.set(key, nonce + 1);
+    return nonce;
+  });
+  nonceLock = allocation.catch(() => {});
+  return allocation;
+}
+
+// Forget the local count (e.g. after a send failed) so the next allocation re-reads the chain
+const resetNonce = (network, address) => nonces.delete(`${network.chain.id}:${address.toLowerCase()}`);
+
+const maxBigInt = (a, b) => (a > b ? a : b);
+const bumped = (value, percent) => value + (value * percent + 99n) / 100n;
+
+// Higher of +bumpPercent over what we last paid and the current estimate
+const bumpFees = (previous, current, percent) => ({
+  maxFeePerGas: maxBigInt(bumped(previous.maxFeePerGas, percent), current.maxFeePerGas),
+  maxPriorityFeePerGas: maxBigInt(bumped(previous.maxPriorityFeePerGas, percent), current.maxPriorityFeePerGas),
+});
+
+// The receipt of whichever of `hashes` got mined, or undefined once `timeoutMs` passes
+async function waitForAnyReceipt(client, hashes, timeoutMs, pollingIntervalMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    for (const hash of hashes) {
+      try {
+        return await client.getTransactionReceipt({ hash });
+      } catch (err) {
+        if (!(err instanceof TransactionReceiptNotFoundError)) throw err;
+      }
+    }
+    if (Date.now() >= deadline) return undefined;
+    await sleep(Math.min(pollingIntervalMs, Math.max(0, deadline - Date.now())));
+  }
+}
+
+// Replay a reverted call at its block to recover the reason, decoded against the contract ABI
+async function revertReason(client, account, call, receipt) {
+  try {
+    await client.call({
+      account,
+      to: call.address,
+      data: encodeFunctionData(call),
+      blockNumber: receipt.blockNumber,
+    });
+    return "reverted (the call succeeds when replayed; likely out of gas or state changed within the block)";
+  } catch (err) {
+    const data = err.walk?.((cause) => typeof cause.data === "string")?.data;
+    if (data) {
+      try {
+        const { errorName, args } = decodeErrorResult({ abi: [...call.abi, ...CCTP_ERRORS], data });
+        if (errorName === "Error") return args[0]; // require(..., "reason")
+        if (errorName === "Panic") return `Panic(0x${args[0].toString(16)})`;
+        return args?.length ? `${errorName}(${args.join(", ")})` : errorName;
+      } catch {
+        // not in the ABI; fall through to viem's own message
+      }
+    }
+    return err.shortMessage ?? err.message;
+  }
+}
+
+/**
+ * Send a contract call and see it through: allocate a local nonce, replace the tx with a higher
+ * fee on the same nonce when it sits unmined for `stuckAfterMs`, wait for `confirmations`, and
+ * throw with the decoded revert reason if it fails. `call` is a viem contract request
+ * ({ address, abi, functionName, args }). `onSent(hash, hashes)` is called as each attempt is
+ * broadcast, before anything is mined. If the last fee bump is still unmined after `finalWaitMs`
+ * it throws (code "TX_NOT_MINED") listing every hash sent, any of which may still be mined.
+ * Resolves to the receipt of the tx that was mined.
+ */
+export async function sendManagedTransaction(network, account, call, options = {}) {
+  const config = { ...TX_DEFAULTS, ...txOptionsFromEnv(), ...options };
+  const { what = call.functionName, onSent = () => {}, onProgress = () => {} } = options;
+  const { client, wallet } = clientsFor(network, account);
+  const data = encodeFunctionData(call);
+
+  const nonce = await allocateNonce(client, network, account.address);
+  let fees = await client.estimateFeesPerGas();
+  const hashes = [];
+  let receipt;
+  for (let attempt = 0; !receipt; attempt += 1) {
+    let hash;
+    try {
+      hash = await wallet.sendTransaction({ to: call.address, data, nonce, ...fees });
+      if (attempt > 0) {
+        onProgress({ type: "tx-replaced", chain: network.name, nonce, txHash: hash, replacedTxHash: hashes.at(-1) });
+      }
+      hashes.push(hash);
+    } catch (err) {
+      // Nothing of ours is in flight: give the nonce back and surface the error
+      if (!hashes.length) {
+        resetNonce(network, account.address);
+        throw err;
+      }
+      // An earlier attempt was mined (or is still known) while we were replacing it
+      onProgress({ type: "log", message: `Replacement for ${what} not accepted (${err.shortMessage ?? err.message})` });
+    }
+    if (hash) await onSent(hash, [...hashes]);
+
+    const lastAttempt = attempt >= config.maxBumps;
+    receipt = await waitForAnyReceipt(
+      client,
+      hashes,
+      lastAttempt ? config.finalWaitMs : config.stuckAfterMs,
+      config.pollingIntervalMs,
+    );
+    if (!receipt && lastAttempt) {
+      // Our nonce may never be mined (dropped from the mempool), so re-read the pending count
+      // next time rather than queue the next send behind a gap
+      resetNonce(network, account.address);
+      const err = new Error(
+        `${what} not mined on ${network.label} after ${config.maxBumps} fee bump(s); any of these txs may still be mined: ${hashes.join(", ")}`,
+      );
+      err.code = "TX_NOT_MINED";
+      err.hashes = hashes;
+      throw err;
+    }
+    if (!receipt) {
+      onProgress({
+        type: "log",
+        message: `${what} tx ${hashes.at(-1)} not mined after ${config.stuckAfterMs / 1000}s; bumping its fee`,
+      });
+      fees = bumpFees(fees, await client.estimateFeesPerGas(), config.bumpPercent);
+    }
+  }
+
+  if (receipt.status !== "success") {
+    const reason = await revertReason(client, account, call, receipt);
+    throw new Error(`${what} ${receipt.transactionHash} reverted on ${network.label}: ${reason}`);
+  }
+  if (config.confirmations > 1) {
+    onProgress({ type: "log", message: `Waiting for ${config.confirmations} confirmations of ${receipt.transactionHash}...` });
+    await client.waitForTransactionReceipt({
+      hash: receipt.transactionHash,
+      confirmations: config.confirmations,
+      pollingInterval: config.pollingIntervalMs,
+    });
+  }
+  return receipt;
+}
@@ -0,0 +1,97 @@
+// Address normalization and bytes32 round-trips for EVM, Starknet and Solana
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  STARKNET_FIELD_PRIME,
+  STARKNET_ADDRESS_BOUND,
+  normalizeEvmAddress,
+  normalizeStarknetAddress,
+  normalizeSolanaAddress,
+  normalizeAddress,
+  isValidAddress,
+  addressToBytes32,
+  bytes32ToAddress,
+} from "../lib/address.js";
+
+const EVM = "0x5425890298aed601595a70AB815c96711a31Bc65"; // Avalanche Fuji USDC
+const STARKNET = "0x049d36570d4e46f48e99674bd3fcc84644ddd6b96f7c741b1562b82f9e004dc7";
+const SOLANA = "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU"; // devnet USDC mint
+const hex64 = (value) => `0x${value.toString(16).padStart(64, "0")}`;
+
+test("normalizeEvmAddress checksums and checks EIP-55", () => {
+  assert.equal(normalizeEvmAddress(EVM.toLowerCase()), EVM);
+  assert.equal(normalizeEvmAddress(EVM.toUpperCase().replace("0X", "0x")), EVM);
+  const badChecksum = EVM.replace("aed", "AED");
+  assert.throws(() => normalizeEvmAddress(badChecksum), /bad checksum/);
+  for (const address of [EVM.slice(0, -1), `${EVM}0`, EVM.slice(2), "0xzz25890298aed601595a70ab815c96711a31bc65", 42]) {
+    assert.throws(() => normalizeEvmAddress(address), { code: "INVALID_ADDRESS" }, String(address));
+  }
+});
+
+test("normalizeStarknetAddress pads to 64 lowercase hex digits", () => {
+  assert.equal(normalizeStarknetAddress(STARKNET.toUpperCase().replace("0X", "0x")), STARKNET);
+  assert.equal(normalizeStarknetAddress(STARKNET.replace("0x0", "0x")), STARKNET);
+  assert.throws(() => normalizeStarknetAddress(`0x${"1".repeat(65)}`), /up to 64 hex digits/);
+  assert.throws(() => normalizeStarknetAddress(STARKNET.slice(2)), { code: "INVALID_ADDRESS" });
+});
+
+test("normalizeStarknetAddress enforces the felt and address bounds", () => {
+  const lastAddress = STARKNET_ADDRESS_BOUND - 1n;
+  assert.equal(normalizeStarknetAddress(hex64(lastAddress)), hex64(lastAddress));
+  assert.throws(() => normalizeStarknetAddress(hex64(STARKNET_ADDRESS_BOUND)), /contract address range/);
+  assert.throws(() => normalizeStarknetAddress(hex64(STARKNET_FIELD_PRIME - 1n)), /contract address range/);
+  assert.throws(() => normalizeStarknetAddress(hex64(STARKNET_FIELD_PRIME)), /not a felt/);
+  assert.throws(() => normalizeStarknetAddress(`0x${"f".repeat(64)}`), /not a felt/);
+});
+
+test("normalizeStarknetAddress refuses EVM-sized values", () => {
+  assert.equal(normalizeStarknetAddress(hex64(2n ** 160n)), hex64(2n ** 160n));
+  assert.throws(() => normalizeStarknetAddress(hex64(2n ** 160n - 1n)), /looks like an EVM address/);
+  assert.throws(() => normalizeStarknetAddress(EVM), /looks like an EVM address/);
+  assert.throws(() => normalizeStarknetAddress("0x0"), /looks like an EVM address/);
+});
+
+test("normalizeSolanaAddress accepts 32-byte base58 keys only", () => {
+  assert.equal(normalizeSolanaAddress(SOLANA), SOLANA);
+  assert.equal(normalizeSolanaAddress("11111111111111111111111111111111"), "11111111111111111111111111111111");
+  for (const address of [`${SOLANA}1`, "0OIl" + SOLANA.slice(4), SOLANA.slice(0, 20), EVM, STARKNET]) {
+    assert.throws(() => normalizeSolanaAddress(address), { code: "INVALID_ADDRESS" }, address);
+  }
+});
+
+test("normalizeAddress dispatches on kind and isValidAddress never throws", () => {
+  assert.equal(normalizeAddress("evm", EVM.toLowerCase()), EVM);
+  assert.throws(() => normalizeAddress("cosmos", EVM), /Unknown chain kind/);
+  assert.equal(isValidAddress("starknet", STARKNET), true);
+  assert.equal(isValidAddress("starknet", EVM), false);
+  assert.equal(isValidAddress("solana", undefined), false);
+});
+
+test("EVM addresses round-trip through bytes32", () => {
+  const bytes32 = addressToBytes32("evm", EVM);
+  assert.equal(bytes32, `0x${"0".repeat(24)}${EVM.slice(2).toLowerCase()}`);
+  assert.equal(bytes32ToAddress("evm", bytes32), EVM);
+  assert.throws(() => bytes32ToAddress("evm", `0x01${bytes32.slice(4)}`), /upper 12 bytes/);
+});
+
+test("Starknet addresses round-trip through bytes32, within the bounds", () => {
+  assert.equal(addressToBytes32("starknet", STARKNET.replace("0x0", "0x")), STARKNET);
+  assert.equal(bytes32ToAddress("starknet", STARKNET), STARKNET);
+  const lastAddress = hex64(STARKNET_ADDRESS_BOUND - 1n);
+  assert.equal(bytes32ToAddress("starknet", addressToBytes32("starknet", lastAddress)), lastAddress);
+  assert.throws(() => bytes32ToAddress("starknet", hex64(STARKNET_ADDRESS_BOUND)), { code: "INVALID_ADDRESS" });
+  assert.throws(() => bytes32ToAddress("starknet", hex64(STARKNET_FIELD_PRIME)), /not a felt/);
+});
+
+test("Solana public keys round-trip through bytes32", () => {
+  const bytes32 = addressToBytes32("solana", SOLANA);
+  assert.match(bytes32, /^0x[0-9a-f]{64}$/);
+  assert.equal(bytes32ToAddress("solana", bytes32), SOLANA);
+  assert.equal(bytes32ToAddress("solana", `0x${"0".repeat(64)}`), "11111111111111111111111111111111");
+});
+
+test("bytes32ToAddress refuses values that aren't bytes32 hex", () => {
+  for (const value of ["0x1234", `0x${"g".repeat(64)}`, "0".repeat(64), undefined]) {
+    assert.throws(() => bytes32ToAddress("evm", value), /not a bytes32 hex value/, String(value));
+  }
+});
@@ -0,0 +1,30 @@
+// USDC amount parsing: decimals, precision and refusing zero
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseUsdcAmount, toUsdcAmount } from "../lib/amount.js";
+
+test("parseUsdcAmount converts decimals to base units", () => {
+  assert.equal(parseUsdcAmount("2.5"), 2_500_000n);
+  assert.equal(parseUsdcAmount(" 0.000001 "), 1n);
+  assert.equal(parseUsdcAmount(3), 3_000_000n);
+});
+
+test("parseUsdcAmount refuses malformed and over-precise amounts", () => {
+  for (const value of ["", "-1", "1,5", "1e3", ".5", "0.0000001"]) {
+    assert.throws(() => parseUsdcAmount(value), undefined, value);
+  }
+});
+
+test("parseUsdcAmount refuses zero unless allowZero", () => {
+  for (const value of ["0", "0.000000", 0]) {
+    assert.throws(() => parseUsdcAmount(value), /must be more than zero/, String(value));
+  }
+  assert.equal(parseUsdcAmount("0", { allowZero: true }), 0n);
+});
+
+test("toUsdcAmount takes positive base units as they are", () => {
+  assert.equal(toUsdcAmount(5n), 5n);
+  assert.equal(toUsdcAmount("1"), 1_000_000n);
+  assert.throws(() => toUsdcAmount(0n), /must be more than zero/);
+  assert.throws(() => toUsdcAmount(-1n), /must be more than zero/);
+});
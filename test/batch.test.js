@@ -0,0 +1,57 @@
+// Reading batch files: CSV quoting, the optional header and rows that don't fit the columns
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { readBatchFile } from "../lib/batch.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cctp-batch-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let files = 0;
+const batchFile = (text, ext = "csv") => {
+  files += 1;
+  const file = path.join(dir, `rows-${files}.${ext}`);
+  fs.writeFileSync(file, text);
+  return file;
+};
+
+test("plain CSV rows, with blank lines and comments skipped", () => {
+  const file = batchFile("0xaaa,1.5\n\n# a comment\n0xbbb, 2 ,invoice-7\r\n");
+  assert.deepEqual(readBatchFile(file), [
+    { recipient: "0xaaa", amount: "1.5", hookData: undefined },
+    { recipient: "0xbbb", amount: "2", hookData: "invoice-7" },
+  ]);
+});
+
+test("quoted fields keep their commas, quotes and line breaks", () => {
+  const file = batchFile('0xaaa,1,"ref 12, batch ""A"""\n0xbbb,2,"two\nlines"\n');
+  assert.deepEqual(
+    readBatchFile(file).map(({ hookData }) => hookData),
+    ['ref 12, batch "A"', "two\nlines"],
+  );
+});
+
+test("the first row is dropped only when it names the columns", () => {
+  assert.equal(readBatchFile(batchFile("Recipient,Amount,Hook_Data\n0xaaa,1\n")).length, 1);
+  assert.equal(readBatchFile(batchFile("recipient,amount\n0xaaa,1\n")).length, 1);
+  // A first row whose amount isn't a number is a bad row, not a header, and is kept for validation
+  const rows = readBatchFile(batchFile("0xaaa,abc\n0xbbb,1\n"));
+  assert.deepEqual(rows[0], { recipient: "0xaaa", amount: "abc", hookData: undefined });
+});
+
+test("a row with too many fields is refused with its line", () => {
+  assert.throws(() => readBatchFile(batchFile("0xaaa,1\n0xbbb,1,5\n0xccc,1,ref,extra\n")), /line 3 has 4 fields/);
+  // "1,5" as an amount splits into amount 1 and hook data 5 unless quoted; quoted it stays whole
+  assert.equal(readBatchFile(batchFile('0xaaa,"1,5"\n'))[0].amount, "1,5");
+});
+
+test("an unterminated quote is refused", () => {
+  assert.throws(() => readBatchFile(batchFile('0xaaa,1,"open\n')), /line 1: unterminated quoted field/);
+});
+
+test("JSON arrays are read as they are", () => {
+  const file = batchFile(JSON.stringify([{ recipient: "0xaaa", amount: 1.25, hookData: "0x01" }]), "json");
+  assert.deepEqual(readBatchFile(file), [{ recipient: "0xaaa", amount: "1.25", hookData: "0x01" }]);
+});
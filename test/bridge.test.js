@@ -0,0 +1,25 @@
+// Reading the mint recipient back from a message for `complete`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Keypair } from "@solana/web3.js";
+import { messageRecipient, ROUTES } from "../lib/bridge.js";
+import { addressToBytes32 } from "../lib/address.js";
+import { getNetwork } from "../lib/networks.js";
+
+test("EVM and Starknet messages name the recipient themselves", () => {
+  const base = getNetwork("base-sepolia", {});
+  const evmRecipient = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+  assert.equal(messageRecipient(base, addressToBytes32("evm", evmRecipient), []), evmRecipient);
+  const starknet = getNetwork("starknet-sepolia", { STARKNET_RPC: "http://localhost" });
+  const starknetRecipient = `0x00${"12ab".repeat(15)}cd`;
+  assert.equal(messageRecipient(starknet, addressToBytes32("starknet", starknetRecipient), []), starknetRecipient);
+});
+
+test("a Solana message's token account maps back to the wallet whose USDC ATA it is", () => {
+  const solana = getNetwork("solana-devnet", {});
+  const owner = Keypair.generate().publicKey.toBase58();
+  const other = Keypair.generate().publicKey.toBase58();
+  const mintRecipient = ROUTES.solana.toMintRecipient(solana, owner);
+  assert.equal(messageRecipient(solana, mintRecipient, [other, "0x1234", owner]), owner);
+  assert.equal(messageRecipient(solana, mintRecipient, [other]), undefined);
+});
@@ -0,0 +1,22 @@
+// Hook data parsing: hex, text and bytes, and refusing malformed hex
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHookData } from "../lib/encoding.js";
+
+test("parseHookData takes 0x hex as bytes, lowercased", () => {
+  assert.equal(parseHookData("0xDEADbeef"), "0xdeadbeef");
+  assert.equal(parseHookData("0x"), "0x");
+});
+
+test("parseHookData encodes other strings and byte arrays", () => {
+  assert.equal(parseHookData("invoice-42"), "0x696e766f6963652d3432");
+  assert.equal(parseHookData(Uint8Array.of(1, 2)), "0x0102");
+  assert.equal(parseHookData(undefined), "0x");
+  assert.equal(parseHookData(""), "0x");
+});
+
+test("parseHookData refuses 0x values that aren't whole bytes of hex", () => {
+  for (const value of ["0xabc", "0xzz", "0x12 34"]) {
+    assert.throws(() => parseHookData(value), { code: "INVALID_HOOK_DATA" }, value);
+  }
+});
@@ -0,0 +1,71 @@
+// EVM pre-flight: the gas check prices the transfer's transactions instead of accepting any balance
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { preflight, PREFLIGHT_GAS } from "../lib/evm.js";
+import { getNetwork } from "../lib/networks.js";
+
+const GWEI = 1_000_000_000n;
+const APPROVE_GAS = 46_000n;
+const hex = (value) => `0x${value.toString(16)}`;
+const state = { balance: 0n, allowance: 0n };
+
+// Just enough JSON-RPC for preflight: balance, allowance/balanceOf calls, gas and fee estimates
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const { id, method, params } = JSON.parse(body);
+    const results = {
+      eth_chainId: () => hex(84532),
+      eth_getBalance: () => hex(state.balance),
+      // allowance() and balanceOf() both read as `state.allowance`, plenty of USDC either way
+      eth_call: () => `0x${state.allowance.toString(16).padStart(64, "0")}`,
+      eth_estimateGas: () => hex(APPROVE_GAS),
+      eth_getBlockByNumber: () => ({ number: "0x1", baseFeePerGas: hex(GWEI) }),
+      eth_maxPriorityFeePerGas: () => hex(0n),
+    };
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ jsonrpc: "2.0", id, result: results[method]?.(params) ?? null }));
+  });
+});
+
+let network;
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  network = { ...getNetwork("base-sepolia", {}), rpc: `http://127.0.0.1:${server.address().port}` };
+});
+after(() => server.close());
+
+const signer = { address: "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed" };
+const gasCheck = async (options) => (await preflight(network, signer, options))[0];
+// viem's maxFeePerGas estimate: base fee * 1.2 plus the (zero) priority fee
+const MAX_FEE = (GWEI * 12n) / 10n;
+
+test("a balance of 1 wei doesn't pass for gas", async () => {
+  state.balance = 1n;
+  const check = await gasCheck({ role: "burn", amount: 1_000_000n });
+  assert.equal(check.ok, false);
+  assert.match(check.detail, /need/);
+});
+
+test("the burn side needs the estimated approve plus the burn", async () => {
+  state.allowance = 0n;
+  const needed = (APPROVE_GAS + PREFLIGHT_GAS.burn) * MAX_FEE;
+  state.balance = needed - 1n;
+  assert.equal((await gasCheck({ role: "burn", amount: 1_000_000n })).ok, false);
+  state.balance = needed;
+  assert.equal((await gasCheck({ role: "burn", amount: 1_000_000n })).ok, true);
+});
+
+test("no approve is counted when the allowance covers the amount", async () => {
+  state.allowance = 10n ** 12n;
+  state.balance = PREFLIGHT_GAS.burn * MAX_FEE;
+  assert.equal((await gasCheck({ role: "burn", amount: 1_000_000n })).ok, true);
+});
+
+test("the mint side pays for one mint per transfer", async () => {
+  state.balance = 3n * PREFLIGHT_GAS.mint * MAX_FEE;
+  assert.equal((await gasCheck({ role: "mint", amount: 1n, transfers: 3 })).ok, true);
+  assert.equal((await gasCheck({ role: "mint", amount: 1n, transfers: 4 })).ok, false);
+});
@@ -0,0 +1,78 @@
+// Fee quoting: bps maths, quote selection, the cap and what happens without a usable fast quote
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FINALITY, feeForAmount, quoteTransferFee } from "../lib/fees.js";
+
+const QUOTES = [
+  { finalityThreshold: 1000, minimumFee: 1 },
+  { finalityThreshold: 2000, minimumFee: 0 },
+];
+const irisWith = (quotes) => ({ getBurnFees: async () => quotes });
+const irisDown = { getBurnFees: async () => { throw new Error("HTTP 503"); } };
+const quote = (options) =>
+  quoteTransferFee({ iris: irisWith(QUOTES), sourceDomain: 6, destinationDomain: 5, amount: 10_000_000n, ...options });
+
+test("feeForAmount rounds up and handles fractional basis points", () => {
+  assert.equal(feeForAmount(10_000_000n, 1), 1_000n);
+  assert.equal(feeForAmount(1n, 1), 1n);
+  assert.equal(feeForAmount(10_000_000n, 0), 0n);
+  assert.equal(feeForAmount(10_000_000n, 0.5), 500n);
+  assert.equal(feeForAmount(3n, "1.3"), 1n);
+});
+
+test("a fast transfer takes its own quote plus 10% headroom", async () => {
+  assert.deepEqual(await quote(), { minFinalityThreshold: FINALITY.fast, maxFee: 1_100n, feeBps: 1, fellBack: false });
+  // The cap trims the headroom but keeps the transfer fast
+  assert.equal((await quote({ maxFeeCap: 1_050n })).maxFee, 1_050n);
+});
+
+test("a standard transfer takes the standard quote", async () => {
+  assert.deepEqual(await quote({ minFinalityThreshold: FINALITY.standard }), {
+    minFinalityThreshold: FINALITY.standard,
+    maxFee: 0n,
+    feeBps: 0,
+    fellBack: false,
+  });
+});
+
+test("a fast fee over the cap fails unless the standard fallback is allowed", async () => {
+  await assert.rejects(quote({ maxFeeCap: 999n }), { code: "FAST_FEE_UNAVAILABLE", message: /exceeds the 999 cap/ });
+  assert.deepEqual(await quote({ maxFeeCap: 999n, fallbackToStandard: true }), {
+    minFinalityThreshold: FINALITY.standard,
+    maxFee: 0n,
+    feeBps: 0,
+    fellBack: true,
+  });
+});
+
+test("without a fast quote the cap is used, else the transfer fails", async () => {
+  const noFast = irisWith([QUOTES[1]]);
+  assert.deepEqual(await quote({ iris: noFast, maxFeeCap: 2_000n }), {
+    minFinalityThreshold: FINALITY.fast,
+    maxFee: 2_000n,
+    fellBack: false,
+  });
+  await assert.rejects(quote({ iris: noFast }), { code: "FAST_FEE_UNAVAILABLE" });
+  assert.equal((await quote({ iris: noFast, fallbackToStandard: true })).fellBack, true);
+});
+
+test("an Iris fee endpoint error fails a fast transfer and names the error", async () => {
+  const logs = [];
+  await assert.rejects(
+    quote({ iris: irisDown, onProgress: ({ message }) => logs.push(message) }),
+    { code: "FAST_FEE_UNAVAILABLE", message: /HTTP 503/ },
+  );
+  assert.match(logs[0], /Could not fetch the Iris fee quote: HTTP 503/);
+  // Falling back without any quote means a zero standard fee
+  assert.deepEqual(await quote({ iris: irisDown, fallbackToStandard: true }), {
+    minFinalityThreshold: FINALITY.standard,
+    maxFee: 0n,
+    feeBps: undefined,
+    fellBack: true,
+  });
+});
+
+test("a standard fee over the cap is refused", async () => {
+  const pricey = irisWith([{ finalityThreshold: 2000, minimumFee: 2 }]);
+  await assert.rejects(quote({ iris: pricey, minFinalityThreshold: FINALITY.standard, maxFeeCap: 1n }), /exceeds the 1 cap/);
+});
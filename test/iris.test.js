@@ -0,0 +1,36 @@
+// Which Iris host a network's burns are looked up on, and picking a message of a transaction
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { IRIS_HOSTS, irisBaseUrl, selectMessage } from "../lib/iris.js";
+import { getNetwork } from "../lib/networks.js";
+
+const testnet = getNetwork("base-sepolia", {});
+const mainnet = getNetwork("base-mainnet", { CCTP_MAINNET: "true" });
+
+test("the network profile picks the Iris host", () => {
+  assert.equal(irisBaseUrl({}, testnet), IRIS_HOSTS.sandbox);
+  assert.equal(irisBaseUrl({}, mainnet), IRIS_HOSTS.mainnet);
+  assert.equal(irisBaseUrl({ IRIS_ENV: "mainnet" }, mainnet), IRIS_HOSTS.mainnet);
+});
+
+test("IRIS_ENV contradicting the profile is refused", () => {
+  assert.throws(() => irisBaseUrl({ IRIS_ENV: "sandbox" }, mainnet), /IRIS_ENV=sandbox/);
+  assert.throws(() => irisBaseUrl({ IRIS_ENV: "mainnet" }, testnet), /IRIS_ENV=mainnet/);
+});
+
+test("IRIS_ENV applies without a profile and IRIS_API_URL always wins", () => {
+  assert.equal(irisBaseUrl({}), IRIS_HOSTS.sandbox);
+  assert.equal(irisBaseUrl({ IRIS_ENV: "mainnet" }), IRIS_HOSTS.mainnet);
+  assert.equal(irisBaseUrl({ IRIS_API_URL: "http://localhost:8080", IRIS_ENV: "sandbox" }, mainnet), "http://localhost:8080");
+});
+
+test("selectMessage picks by index and refuses one that can't exist", () => {
+  const messages = [{ status: "complete" }, { status: "pending_confirmations" }];
+  assert.equal(selectMessage(messages, { messageIndex: 1 }), messages[1]);
+  assert.throws(() => selectMessage(messages, { messageIndex: 2 }), { code: "INVALID_MESSAGE_INDEX" });
+  for (const messageIndex of [-1, 0.5, NaN]) {
+    assert.throws(() => selectMessage(messages, { messageIndex }), { code: "INVALID_MESSAGE_INDEX" }, String(messageIndex));
+  }
+  // Nothing listed yet: keep polling
+  assert.equal(selectMessage([], { messageIndex: 3 }), undefined);
+});
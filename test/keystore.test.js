@@ -0,0 +1,48 @@
+// v3 keystores: encrypt/decrypt round-trip, wrong passphrase and tampered files
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { decryptKeystore, encryptKeystore, isKeystore } from "../lib/keystore.js";
+
+// A cheap scrypt cost so the tests don't spend seconds per key
+const scrypt = { n: 1024, r: 8, p: 1, dklen: 32 };
+const privateKey = crypto.randomBytes(32);
+
+// Flip the low bit of the first byte of a hex field
+const flipFirstByte = (hex) => `${(parseInt(hex.slice(0, 2), 16) ^ 1).toString(16).padStart(2, "0")}${hex.slice(2)}`;
+const withCrypto = (keystore, fields) => ({ ...keystore, crypto: { ...keystore.crypto, ...fields } });
+
+test("encryptKeystore output decrypts back to the same key", async () => {
+  const keystore = await encryptKeystore(privateKey, "correct horse", { address: "0xABCDEF", scrypt });
+  assert.ok(isKeystore(keystore));
+  assert.equal(keystore.version, 3);
+  assert.equal(keystore.address, "abcdef");
+  assert.notEqual(keystore.crypto.ciphertext, privateKey.toString("hex"));
+  assert.deepEqual(await decryptKeystore(keystore, "correct horse"), privateKey);
+});
+
+test("decryptKeystore throws BAD_PASSPHRASE on a wrong passphrase", async () => {
+  const keystore = await encryptKeystore(privateKey, "correct horse", { scrypt });
+  await assert.rejects(decryptKeystore(keystore, "battery staple"), { code: "BAD_PASSPHRASE" });
+});
+
+test("decryptKeystore refuses a keystore whose MAC or ciphertext was tampered with", async () => {
+  const keystore = await encryptKeystore(privateKey, "correct horse", { scrypt });
+  await assert.rejects(
+    decryptKeystore(withCrypto(keystore, { mac: flipFirstByte(keystore.crypto.mac) }), "correct horse"),
+    { code: "BAD_PASSPHRASE" },
+  );
+  await assert.rejects(
+    decryptKeystore(withCrypto(keystore, { ciphertext: flipFirstByte(keystore.crypto.ciphertext) }), "correct horse"),
+    { code: "BAD_PASSPHRASE" },
+  );
+  await assert.rejects(decryptKeystore(withCrypto(keystore, { mac: "00" }), "correct horse"), { code: "BAD_PASSPHRASE" });
+});
+
+test("decryptKeystore refuses files that aren't v3 keystores", async () => {
+  const keystore = await encryptKeystore(privateKey, "correct horse", { scrypt });
+  await assert.rejects(decryptKeystore({ ...keystore, version: 1 }, "correct horse"), { code: "BAD_KEYSTORE" });
+  await assert.rejects(decryptKeystore(withCrypto(keystore, { cipher: "aes-256-cbc" }), "correct horse"), {
+    code: "BAD_KEYSTORE",
+  });
+});
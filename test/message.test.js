@@ -0,0 +1,140 @@
+// CCTP v2 message decoding and the checks made before minting
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Buffer } from "node:buffer";
+import { decodeMessage, validateMessage, HEADER_LENGTH } from "../lib/message.js";
+
+const word = (byte) => `0x${byte.repeat(32)}`;
+const uint256 = (value) => `0x${value.toString(16).padStart(64, "0")}`;
+const bytes = (hex) => Buffer.from(hex.slice(2), "hex");
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+const FIELDS = {
+  sourceDomain: 6,
+  destinationDomain: 5,
+  nonce: word("11"),
+  sender: word("22"),
+  recipient: word("33"),
+  destinationCaller: word("44"),
+  burnToken: word("55"),
+  mintRecipient: word("66"),
+  amount: 2_500_000n,
+  messageSender: word("77"),
+  maxFee: 250n,
+  feeExecuted: 200n,
+  expirationBlock: 0n,
+  hookData: "0xdeadbeef",
+};
+
+// A v2 message laid out field by field, independently of the decoder's offsets
+const buildMessage = (fields = FIELDS) =>
+  Buffer.concat([
+    uint32(1),
+    uint32(fields.sourceDomain),
+    uint32(fields.destinationDomain),
+    bytes(fields.nonce),
+    bytes(fields.sender),
+    bytes(fields.recipient),
+    bytes(fields.destinationCaller),
+    uint32(1000),
+    uint32(2000),
+    uint32(1),
+    bytes(fields.burnToken),
+    bytes(fields.mintRecipient),
+    bytes(uint256(fields.amount)),
+    bytes(fields.messageSender),
+    bytes(uint256(fields.maxFee)),
+    bytes(uint256(fields.feeExecuted)),
+    bytes(uint256(fields.expirationBlock)),
+    bytes(fields.hookData),
+  ]);
+
+test("decodeMessage reads every header and BurnMessage field", () => {
+  const decoded = decodeMessage(buildMessage());
+  assert.deepEqual(
+    { ...decoded, messageBody: undefined },
+    {
+      version: 1,
+      sourceDomain: 6,
+      destinationDomain: 5,
+      nonce: FIELDS.nonce,
+      sender: FIELDS.sender,
+      recipient: FIELDS.recipient,
+      destinationCaller: FIELDS.destinationCaller,
+      minFinalityThreshold: 1000,
+      finalityThresholdExecuted: 2000,
+      messageBody: undefined,
+      burnMessage: {
+        version: 1,
+        burnToken: FIELDS.burnToken,
+        mintRecipient: FIELDS.mintRecipient,
+        amount: FIELDS.amount,
+        messageSender: FIELDS.messageSender,
+        maxFee: FIELDS.maxFee,
+        feeExecuted: FIELDS.feeExecuted,
+        expirationBlock: FIELDS.expirationBlock,
+        hookData: FIELDS.hookData,
+      },
+    },
+  );
+  assert.equal(decoded.messageBody, `0x${buildMessage().subarray(HEADER_LENGTH).toString("hex")}`);
+});
+
+test("decodeMessage takes hex and base64 envelopes, with or without hook data", () => {
+  const message = buildMessage({ ...FIELDS, hookData: "0x" });
+  assert.equal(decodeMessage(`0x${message.toString("hex")}`).burnMessage.hookData, "0x");
+  assert.equal(decodeMessage(message.toString("base64")).burnMessage.amount, FIELDS.amount);
+});
+
+test("decodeMessage refuses truncated messages", () => {
+  assert.throws(() => decodeMessage(buildMessage().subarray(0, HEADER_LENGTH - 1)), /CCTP message too short/);
+  assert.throws(() => decodeMessage(buildMessage().subarray(0, HEADER_LENGTH + 227)), /BurnMessage too short/);
+});
+
+const expected = {
+  sourceDomain: 6,
+  destinationDomain: 5,
+  destinationCaller: FIELDS.destinationCaller,
+  mintRecipient: FIELDS.mintRecipient,
+  amount: FIELDS.amount,
+  hookData: "0xDEADBEEF",
+};
+
+test("validateMessage passes a matching message and skips fields it isn't given", () => {
+  const decoded = decodeMessage(buildMessage());
+  assert.equal(validateMessage(decoded, expected), decoded);
+  assert.equal(validateMessage(decoded, { sourceDomain: 6 }), decoded);
+  // bytes32 values compare by value, so a shorter hex form of the same address matches
+  assert.equal(validateMessage(decoded, { ...expected, amount: "2500000", mintRecipient: `0x${"66".repeat(32)}` }), decoded);
+});
+
+test("validateMessage refuses each kind of mismatch", () => {
+  const decoded = decodeMessage(buildMessage());
+  const mismatches = {
+    sourceDomain: 0,
+    destinationDomain: 6,
+    destinationCaller: word("00"),
+    mintRecipient: word("67"),
+    amount: 2_500_001n,
+    hookData: "0xdeadbeee",
+  };
+  for (const [field, value] of Object.entries(mismatches)) {
+    assert.throws(
+      () => validateMessage(decoded, { ...expected, [field]: value }),
+      (err) => err.message.startsWith("Refusing to mint") && err.message.includes(`${field}: message has`),
+      field,
+    );
+  }
+});
+
+test("validateMessage lists every mismatch at once", () => {
+  const decoded = decodeMessage(buildMessage({ ...FIELDS, amount: 1n, hookData: "0x" }));
+  assert.throws(
+    () => validateMessage(decoded, expected),
+    (err) => err.message.includes("amount: message has 1, expected 2500000") && err.message.includes("hookData: message has 0x"),
+  );
+});
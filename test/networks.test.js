@@ -0,0 +1,34 @@
+// Built-in network profiles: every contract and mint address must be valid for its chain kind
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NETWORKS, getNetwork } from "../lib/networks.js";
+import { normalizeEvmAddress, normalizeSolanaAddress, normalizeStarknetAddress } from "../lib/address.js";
+
+const NORMALIZERS = {
+  evm: normalizeEvmAddress,
+  solana: normalizeSolanaAddress,
+  starknet: normalizeStarknetAddress,
+};
+const ADDRESS_FIELDS = ["usdc", "tokenMessenger", "tokenMessengerMinter", "messageTransmitter"];
+
+for (const [name, profile] of Object.entries(NETWORKS)) {
+  test(`${name} addresses are valid ${profile.kind} addresses`, () => {
+    for (const field of ADDRESS_FIELDS.filter((field) => profile[field] !== undefined)) {
+      assert.doesNotThrow(() => NORMALIZERS[profile.kind](profile[field]), `${name}.${field}`);
+    }
+  });
+}
+
+test("Starknet Sepolia TokenMessengerMinterV2 is a felt below the address bound", () => {
+  assert.equal(
+    normalizeStarknetAddress(NETWORKS["starknet-sepolia"].tokenMessenger),
+    "0x04bdde1e09a4b09a2f95d893d94a967b7717eb85a3f6deca8c080ee01fbc3370",
+  );
+});
+
+test("getNetwork refuses a malformed address override", () => {
+  assert.throws(
+    () => getNetwork("starknet-sepolia", { STARKNET_TOKEN_MESSENGER: `0x${"f".repeat(65)}` }),
+    /starknet-sepolia" tokenMessenger/,
+  );
+});
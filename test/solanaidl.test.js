@@ -0,0 +1,55 @@
+// The bundled Solana IDLs: present, for the program ids the Solana profiles use, and drift-checked per env
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as anchor from "@coral-xyz/anchor";
+import { Keypair } from "@solana/web3.js";
+import { SOLANA_IDLS, readBundledIdl } from "../lib/solanaidl.js";
+import { reclaimEventAccount } from "../lib/solana.js";
+import { getNetwork } from "../lib/networks.js";
+
+const network = getNetwork("solana-devnet", {});
+
+for (const [program, { programField, file }] of Object.entries(SOLANA_IDLS)) {
+  test(`${file} is bundled for ${network[programField]}`, () => {
+    const idl = readBundledIdl(program);
+    assert.ok(idl, `lib/idl/${file} is missing`);
+    assert.equal(idl.address, network[programField]);
+  });
+}
+
+test("the bundled IDLs have the instructions we encode", () => {
+  const names = (program) => readBundledIdl(program).instructions.map(({ name }) => name);
+  for (const name of ["deposit_for_burn", "deposit_for_burn_with_hook"]) {
+    assert.ok(names("tokenMessengerMinter").includes(name), name);
+  }
+  for (const name of ["receive_message", "reclaim_event_account"]) {
+    assert.ok(names("messageTransmitter").includes(name), name);
+  }
+});
+
+test("SOLANA_IDL_CHECK is read from the env passed in, on the mint side too", async () => {
+  const fetched = [];
+  const fetchIdl = anchor.Program.fetchIdl;
+  anchor.Program.fetchIdl = async (programId) => {
+    fetched.push(programId.toBase58());
+    return readBundledIdl("messageTransmitter");
+  };
+  // Nothing listens there, so each call stops at its first RPC request, after loading the IDL
+  const offline = { ...network, rpc: "http://127.0.0.1:9" };
+  const reclaim = (env) =>
+    reclaimEventAccount({
+      network: offline,
+      signer: Keypair.generate(),
+      eventAccount: Keypair.generate().publicKey.toBase58(),
+      attestation: { message: "0x00", attestation: "0x00" },
+      env,
+    });
+  try {
+    await assert.rejects(reclaim({ SOLANA_IDL_CHECK: "false" }));
+    assert.deepEqual(fetched, []);
+    await assert.rejects(reclaim({}));
+    assert.deepEqual(fetched, [network.messageTransmitter]);
+  } finally {
+    anchor.Program.fetchIdl = fetchIdl;
+  }
+});
@@ -0,0 +1,114 @@
+// EVM transaction manager: revert reasons and the local nonce after a tx that was never mined
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { encodeErrorResult, parseAbiItem, parseTransaction } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { sendManagedTransaction, CCTP_ERRORS } from "../lib/txmanager.js";
+import { getNetwork } from "../lib/networks.js";
+
+const hex = (value) => `0x${value.toString(16)}`;
+const HASH = (n) => `0x${n.toString(16).padStart(64, "0")}`;
+const BLOCK = { number: "0x10", hash: HASH(1), baseFeePerGas: hex(1_000_000_000n), timestamp: "0x1" };
+
+// Fake chain state: the pending nonce, which sent txs get mined and with what status
+const chain = { pendingNonce: 0, sent: [], mine: () => undefined, revertData: undefined };
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const { id, method, params } = JSON.parse(body);
+    const reply = (payload) => {
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify({ jsonrpc: "2.0", id, ...payload }));
+    };
+    switch (method) {
+      case "eth_chainId":
+        return reply({ result: hex(84532) });
+      case "eth_getTransactionCount":
+        return reply({ result: hex(chain.pendingNonce) });
+      case "eth_getBlockByNumber":
+        return reply({ result: BLOCK });
+      case "eth_maxPriorityFeePerGas":
+        return reply({ result: hex(1_000_000n) });
+      case "eth_estimateGas":
+        return reply({ result: hex(50_000n) });
+      case "eth_sendRawTransaction": {
+        const { nonce } = parseTransaction(params[0]);
+        chain.sent.push(nonce);
+        return reply({ result: HASH(1000 + chain.sent.length) });
+      }
+      case "eth_getTransactionReceipt": {
+        const status = chain.mine(params[0]);
+        if (!status) return reply({ result: null });
+        return reply({
+          result: {
+            transactionHash: params[0],
+            blockHash: BLOCK.hash,
+            blockNumber: BLOCK.number,
+            transactionIndex: "0x0",
+            from: account.address,
+            to: account.address,
+            cumulativeGasUsed: "0x1",
+            gasUsed: "0x1",
+            effectiveGasPrice: "0x1",
+            logs: [],
+            logsBloom: `0x${"0".repeat(512)}`,
+            status,
+            type: "0x2",
+            contractAddress: null,
+          },
+        });
+      }
+      case "eth_call":
+        return reply({ error: { code: 3, message: "execution reverted", data: chain.revertData } });
+      default:
+        return reply({ error: { code: -32601, message: `${method} not faked` } });
+    }
+  });
+});
+
+const account = privateKeyToAccount(`0x${"11".repeat(32)}`);
+const call = {
+  address: "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed",
+  abi: [parseAbiItem("function depositForBurn(uint256 amount)")],
+  functionName: "depositForBurn",
+  args: [1n],
+};
+const fast = { maxBumps: 0, finalWaitMs: 50, pollingIntervalMs: 10, confirmations: 1 };
+let network;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  network = { ...getNetwork("base-sepolia", {}), rpc: `http://127.0.0.1:${server.address().port}` };
+});
+after(() => server.close());
+
+test("a tx never mined doesn't leave the next send behind a nonce gap", async () => {
+  chain.pendingNonce = 7;
+  chain.sent = [];
+  chain.mine = () => undefined;
+  await assert.rejects(sendManagedTransaction(network, account, call, fast), { code: "TX_NOT_MINED" });
+
+  // The stuck tx was dropped, so the chain's pending nonce is still 7
+  chain.mine = () => "0x1";
+  await sendManagedTransaction(network, account, call, fast);
+  assert.deepEqual(chain.sent, [7, 7]);
+});
+
+test("a revert is reported with its require string", async () => {
+  chain.mine = () => "0x0";
+  chain.revertData = encodeErrorResult({
+    abi: CCTP_ERRORS,
+    errorName: "Error",
+    args: ["Max fee must be less than amount"],
+  });
+  await assert.rejects(sendManagedTransaction(network, account, call, fast), /reverted on .*: Max fee must be less than amount/);
+});
+
+test("a panic is reported with its code", async () => {
+  chain.mine = () => "0x0";
+  chain.revertData = encodeErrorResult({ abi: CCTP_ERRORS, errorName: "Panic", args: [0x11n] });
+  await assert.rejects(sendManagedTransaction(network, account, call, fast), /: Panic\(0x11\)/);
+});